@@ -0,0 +1,18 @@
+// Limits that depend on the user's subscription plan
+const PLAN_LIMITS = {
+  free_trial: {
+    maxConcurrentRuns: 1
+  },
+  premium: {
+    maxConcurrentRuns: 5
+  }
+};
+
+function getPlanLimits(plan) {
+  return PLAN_LIMITS[plan] || PLAN_LIMITS.free_trial;
+}
+
+module.exports = {
+  PLAN_LIMITS,
+  getPlanLimits
+};
@@ -0,0 +1,44 @@
+// Built-in martingale ladders. These are seeded into the Strategy collection as
+// read-only templates and used directly whenever the database isn't available.
+const BUILT_IN_STRATEGIES = {
+  steady_climb: {
+    name: "Steady Climb",
+    description: "Conservative ladder with gentle multiplier growth",
+    capitalBase: 0.001, // 0.1% of balance (0.1% = 0.001 as decimal)
+    leverage: 25,
+    martingaleMultipliers: [0.25, 0.27, 0.36, 0.47, 0.63, 0.83, 1.08, 1.43, 1.88, 2.47, 3.25, 4.30, 5.68, 7.51, 9.93],
+    maxLevels: 15,
+    takeProfitPercent: 0.5, // Close the cycle when price is 0.5% in profit from the averaged entry
+    levelStepPercent: 0.8, // Add the next level after a 0.8% move against the last entry
+    stopLossPercent: 0.5, // Exchange-side stop sits 0.5% beyond the next level's trigger
+    type: "conservative"
+  },
+  power_surge: {
+    name: "Power Surge",
+    description: "Aggressive ladder that recovers faster and risks more",
+    capitalBase: 0.001, // 0.1% of balance (0.1% = 0.001 as decimal)
+    leverage: 25,
+    martingaleMultipliers: [0.40, 0.54, 0.72, 0.94, 1.26, 1.66, 2.16, 2.86, 3.76, 4.94, 6.50, 8.60, 11.36, 15.02, 19.86],
+    maxLevels: 15,
+    takeProfitPercent: 0.8,
+    levelStepPercent: 0.6,
+    stopLossPercent: 0.5,
+    type: "aggressive"
+  }
+};
+
+// Sane bounds for user-defined ladders
+const STRATEGY_LIMITS = {
+  capitalBase: { min: 0.0001, max: 0.05 }, // 0.01% - 5% of balance per base unit
+  leverage: { min: 1, max: 50 },
+  maxLevels: { min: 1, max: 20 },
+  multiplier: { min: 0.01, max: 50 },
+  takeProfitPercent: { min: 0.1, max: 20 },
+  levelStepPercent: { min: 0.1, max: 50 },
+  stopLossPercent: { min: 0.1, max: 50 }
+};
+
+module.exports = {
+  BUILT_IN_STRATEGIES,
+  STRATEGY_LIMITS
+};
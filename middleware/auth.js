@@ -1,52 +1,81 @@
-
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+class AuthError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Verify a JWT and load its user - shared by the HTTP middleware and the Socket.IO handshake
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthError(401, 'No token provided, access denied');
+  }
+
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  
+  // Get user from database
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    throw new AuthError(401, 'Token is not valid');
+  }
+
+  // Check if subscription is active (except for free trial)
+  const now = new Date();
+  if (user.subscription.endDate < now && user.subscription.plan !== 'free_trial') {
+    throw new AuthError(403, 'Subscription expired. Please renew to continue using the service.', {
+      subscriptionExpired: true
+    });
+  }
+
+  return user;
+};
+
+// Status and response body for a failed authentication, or null for unexpected errors
+const describeAuthError = (error) => {
+  if (error instanceof AuthError) {
+    return { status: error.status, body: { message: error.message, ...error.details } };
+  }
+  
+  if (error.name === 'JsonWebTokenError') {
+    return { status: 401, body: { message: 'Invalid token' } };
+  }
+  
+  if (error.name === 'TokenExpiredError') {
+    return { status: 401, body: { message: 'Token expired' } };
+  }
+
+  return null;
+};
+
 const auth = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided, access denied' });
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
-
-    // Check if subscription is active (except for free trial)
-    const now = new Date();
-    if (user.subscription.endDate < now && user.subscription.plan !== 'free_trial') {
-      return res.status(403).json({ 
-        message: 'Subscription expired. Please renew to continue using the service.',
-        subscriptionExpired: true
-      });
-    }
+    const user = await authenticateToken(token);
 
     // Add user to request object
     req.user = { id: user._id, ...user.toObject() };
     next();
     
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired' });
+    const failure = describeAuthError(error);
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
     }
     
+    console.error('Auth middleware error:', error);
     res.status(500).json({ message: 'Server error in authentication' });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.authenticateToken = authenticateToken;
+module.exports.describeAuthError = describeAuthError;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+// A key still "processing" after this long belongs to a request that died with its server
+const PROCESSING_TIMEOUT = 5 * 60 * 1000;
+
+const hashBody = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+// Whether a response is final. Server errors and "busy" answers didn't reliably do
+// anything, so the key is released and the client may send the request again.
+const isReplayable = (status) => status < 500 && status !== 409 && status !== 429;
+
+// Honour an Idempotency-Key header: the first request with a key runs, later requests with
+// the same key get the first response back instead of acting twice. Goes after auth.
+const idempotency = (req, res, next) => {
+  handleKey(req, res, next).catch(error => {
+    console.error('Idempotency key error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: 'Could not check the idempotency key',
+      retryable: true
+    });
+  });
+};
+
+const handleKey = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      retryable: false
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashBody(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({ userId: req.user.id, key, route, requestHash });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen this key before
+    const existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+    if (!existing) return handleKey(req, res, next); // Released in the meantime
+
+    if (existing.route !== route || existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'This Idempotency-Key was already used for a different request',
+        retryable: false
+      });
+    }
+
+    if (existing.status === 'processing' && Date.now() - existing.createdAt.getTime() > PROCESSING_TIMEOUT) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, status: 'processing' });
+      return handleKey(req, res, next);
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        code: 'REQUEST_IN_PROGRESS',
+        message: 'A request with this Idempotency-Key is still being processed',
+        retryable: true
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it, so a repeat of this request gets the same answer
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const save = isReplayable(res.statusCode)
+      ? IdempotencyKey.updateOne({ _id: record._id }, { status: 'completed', responseStatus: res.statusCode, responseBody: body })
+      : IdempotencyKey.deleteOne({ _id: record._id });
+
+    save
+      .catch(error => console.error('❌ Failed to store idempotent response:', error.message))
+      .then(() => json(body));
+    return res;
+  };
+
+  // Handlers can derive exchange-side ids from it, so a retry after a lost response is recognisable
+  req.idempotencyKey = key;
+  next();
+};
+
+module.exports = idempotency;
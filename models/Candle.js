@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Recent OHLCV candles polled by the market-data service
+const CandleSchema = new mongoose.Schema({
+  exchange: {
+    type: String,
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true
+  },
+  timeframe: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date, // Candle open time
+    required: true
+  },
+  open: Number,
+  high: Number,
+  low: Number,
+  close: Number,
+  volume: Number
+});
+
+CandleSchema.index({ exchange: 1, symbol: 1, timeframe: 1, timestamp: 1 }, { unique: true });
+// Only recent history is kept - backtests bring their own candles
+CandleSchema.index({ timestamp: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ccxt OHLCV row
+CandleSchema.methods.toOHLCV = function() {
+  return [this.timestamp.getTime(), this.open, this.high, this.low, this.close, this.volume];
+};
+
+module.exports = mongoose.model('Candle', CandleSchema);
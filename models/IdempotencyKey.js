@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Result of a request sent with an Idempotency-Key header, replayed when the same key comes back
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  route: {
+    type: String, // "POST /api/trading/start"
+    required: true
+  },
+  requestHash: {
+    type: String, // SHA-256 of the request body - a key can't be reused for a different request
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// Keys are only honoured for a day
+IdempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Lease-based lock shared by every server instance
+const LockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Lock name, e.g. "trading-engine" or "user:<id>"
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up leases nobody renewed
+LockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('Lock', LockSchema);
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { BUILT_IN_STRATEGIES, STRATEGY_LIMITS } = require('../config/strategies');
+const { validateEntryConditions } = require('../utils/entryConditions');
+
+const StrategySchema = new mongoose.Schema({
+  // null for the built-in templates
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Stable key for templates (steady_climb, power_surge)
+  key: {
+    type: String,
+    default: null
+  },
+  isTemplate: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 280,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['conservative', 'aggressive', 'custom'],
+    default: 'custom'
+  },
+
+  // Ladder definition
+  capitalBase: {
+    type: Number,
+    required: true,
+    min: STRATEGY_LIMITS.capitalBase.min,
+    max: STRATEGY_LIMITS.capitalBase.max
+  },
+  leverage: {
+    type: Number,
+    required: true,
+    min: STRATEGY_LIMITS.leverage.min,
+    max: STRATEGY_LIMITS.leverage.max,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Leverage must be a whole number'
+    }
+  },
+  martingaleMultipliers: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(multipliers) {
+        return multipliers.length > 0 && multipliers.every(m =>
+          Number.isFinite(m) &&
+          m >= STRATEGY_LIMITS.multiplier.min &&
+          m <= STRATEGY_LIMITS.multiplier.max
+        );
+      },
+      message: `Each multiplier must be between ${STRATEGY_LIMITS.multiplier.min} and ${STRATEGY_LIMITS.multiplier.max}`
+    }
+  },
+  maxLevels: {
+    type: Number,
+    required: true,
+    min: STRATEGY_LIMITS.maxLevels.min,
+    max: STRATEGY_LIMITS.maxLevels.max,
+    validate: {
+      validator: function(maxLevels) {
+        return Number.isInteger(maxLevels) && maxLevels <= this.martingaleMultipliers.length;
+      },
+      message: 'Max levels must be a whole number no greater than the number of multipliers'
+    }
+  },
+  takeProfitPercent: {
+    type: Number,
+    required: true,
+    min: STRATEGY_LIMITS.takeProfitPercent.min,
+    max: STRATEGY_LIMITS.takeProfitPercent.max
+  },
+  levelStepPercent: {
+    type: Number,
+    required: true,
+    min: STRATEGY_LIMITS.levelStepPercent.min,
+    max: STRATEGY_LIMITS.levelStepPercent.max
+  },
+  // Distance of the exchange-side stop-loss beyond the next level's trigger
+  stopLossPercent: {
+    type: Number,
+    default: 0.5,
+    min: STRATEGY_LIMITS.stopLossPercent.min,
+    max: STRATEGY_LIMITS.stopLossPercent.max
+  },
+  // Indicator rules a new cycle waits for before its level-1 entry (null = enter immediately)
+  entryConditions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    validate: {
+      validator: function(conditions) {
+        const errors = validateEntryConditions(conditions);
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        return true;
+      },
+      message: props => (props.reason ? props.reason.message : 'Invalid entry conditions')
+    }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StrategySchema.index({ owner: 1, createdAt: -1 });
+StrategySchema.index({ key: 1 }, { unique: true, partialFilterExpression: { isTemplate: true } });
+
+// Plain ladder config consumed by ExchangeService / Backtester
+StrategySchema.methods.toConfig = function() {
+  return {
+    id: this.isTemplate ? this.key : this._id.toString(),
+    name: this.name,
+    capitalBase: this.capitalBase,
+    leverage: this.leverage,
+    martingaleMultipliers: [...this.martingaleMultipliers],
+    maxLevels: this.maxLevels,
+    takeProfitPercent: this.takeProfitPercent,
+    levelStepPercent: this.levelStepPercent,
+    stopLossPercent: this.stopLossPercent,
+    entryConditions: this.entryConditions || null,
+    type: this.type
+  };
+};
+
+// Insert/refresh the built-in templates
+StrategySchema.statics.seedTemplates = async function() {
+  for (const [key, definition] of Object.entries(BUILT_IN_STRATEGIES)) {
+    await this.findOneAndUpdate(
+      { key, isTemplate: true },
+      { ...definition, key, isTemplate: true, owner: null, updatedAt: new Date() },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+  console.log(`✅ Seeded ${Object.keys(BUILT_IN_STRATEGIES).length} strategy templates`);
+};
+
+// Resolve a template key or strategy id the user is allowed to trade. Returns a config or null.
+StrategySchema.statics.resolveForUser = async function(idOrKey, userId) {
+  if (!idOrKey) return null;
+
+  if (BUILT_IN_STRATEGIES[idOrKey]) {
+    const template = await this.findOne({ key: idOrKey, isTemplate: true });
+    return template ? template.toConfig() : { id: idOrKey, ...BUILT_IN_STRATEGIES[idOrKey] };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(idOrKey)) return null;
+
+  const strategy = await this.findOne({
+    _id: idOrKey,
+    $or: [{ owner: userId }, { isTemplate: true }]
+  });
+  return strategy ? strategy.toConfig() : null;
+};
+
+// Update timestamp
+StrategySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Strategy', StrategySchema);
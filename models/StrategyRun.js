@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const TransitionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  cycle: Number,
+  level: Number,
+  price: Number,
+  orderId: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const StrategyRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exchange: {
+    type: String,
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true
+  },
+  strategy: {
+    type: String, // Template key or Strategy id
+    required: true
+  },
+  strategyConfig: {
+    type: mongoose.Schema.Types.Mixed, // Ladder snapshot taken when the run started
+    default: null
+  },
+  // Requested direction; "auto" picks the side per cycle from the trend filter
+  direction: {
+    type: String,
+    enum: ['long', 'short', 'auto'],
+    default: 'long'
+  },
+  // Share of the account balance this run sizes its ladder from
+  allocationPercent: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  },
+  // Side of the current cycle's entries
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    default: 'buy'
+  },
+
+  // Martingale progress
+  currentLevel: {
+    type: Number,
+    default: 1
+  },
+  cycle: {
+    type: Number,
+    default: 1
+  },
+  orderIds: {
+    type: [String],
+    default: []
+  },
+  lastOrderId: {
+    type: String,
+    default: null
+  },
+  lastEntryPrice: {
+    type: Number,
+    default: null
+  },
+  maxLevelReached: {
+    type: Boolean,
+    default: false
+  },
+  // Flat between cycles until the strategy's entry conditions hold
+  awaitingEntry: {
+    type: Boolean,
+    default: false
+  },
+  // Exchange-side TP/SL bracket currently protecting the position
+  protection: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Run status
+  status: {
+    type: String,
+    enum: ['active', 'stopped', 'error'],
+    default: 'active'
+  },
+  stopReason: {
+    type: String,
+    default: null
+  },
+  // Server instance managing the run; it refreshes heartbeatAt on every monitor tick
+  instanceId: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  history: {
+    type: [TransitionSchema],
+    default: []
+  },
+
+  // Timing
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  cycleStartTime: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StrategyRunSchema.index({ status: 1, userId: 1 });
+StrategyRunSchema.index({ userId: 1, symbol: 1, status: 1 });
+
+// Update timestamp
+StrategyRunSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('StrategyRun', StrategyRunSchema);
@@ -1,6 +1,8 @@
 
 
 const mongoose = require('mongoose');
+const User = require('./User');
+const pnl = require('../utils/pnl');
 
 const TradeSchema = new mongoose.Schema({
   userId: {
@@ -20,9 +22,17 @@ const TradeSchema = new mongoose.Schema({
     required: true
   },
   quantity: {
-    type: Number,
+    type: Number, // Contracts (ccxt amount), not USD
     required: true
   },
+  contractSize: {
+    type: Number, // Base units per contract
+    default: 1
+  },
+  notional: {
+    type: Number, // USDT value at entry
+    default: null
+  },
   price: {
     type: Number,
     required: true
@@ -30,26 +40,38 @@ const TradeSchema = new mongoose.Schema({
   
   // Order information
   orderId: {
-    type: String,
-    required: true
+    type: String, // Null until the exchange confirms the order
+    default: null
+  },
+  clientOrderId: {
+    type: String, // Our id for the order, written before it is sent (see buildClientOrderId)
+    default: null
   },
   exchange: {
     type: String,
-    enum: ['bybit', 'binance', 'bitget'],
+    enum: ['bybit', 'binance', 'bitget', 'okx', 'paper'],
     required: true
   },
   
   // Strategy information
   strategy: {
-    type: String,
-    enum: ['steady_climb', 'power_surge'],
+    type: String, // Template key or Strategy id
     required: true
   },
   martingaleLevel: {
-    type: Number,
+    type: Number, // 0-based ladder index
     required: true,
     min: 0,
-    max: 14
+    max: 19
+  },
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StrategyRun',
+    default: null
+  },
+  cycle: {
+    type: Number, // Run cycle the entry belongs to
+    default: null
   },
   
   // Trade status
@@ -80,6 +102,14 @@ const TradeSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  funding: {
+    type: Number, // Net funding received (+) or paid (-) while open
+    default: 0
+  },
+  roe: {
+    type: Number, // Realized PnL as % of margin
+    default: null
+  },
   
   // Leverage and margin
   leverage: {
@@ -103,6 +133,25 @@ const TradeSchema = new mongoose.Schema({
   closedAt: {
     type: Date,
     default: null
+  },
+
+  // Reconciliation with the exchange
+  filledQuantity: {
+    type: Number,
+    default: null
+  },
+  reconciledAt: {
+    type: Date,
+    default: null
+  },
+  discrepancies: {
+    type: [{
+      type: { type: String, required: true },
+      expected: mongoose.Schema.Types.Mixed,
+      actual: mongoose.Schema.Types.Mixed,
+      detectedAt: { type: Date, default: Date.now }
+    }],
+    default: []
   }
 });
 
@@ -110,22 +159,160 @@ const TradeSchema = new mongoose.Schema({
 TradeSchema.index({ userId: 1, timestamp: -1 });
 TradeSchema.index({ symbol: 1, timestamp: -1 });
 TradeSchema.index({ strategy: 1, martingaleLevel: 1 });
+TradeSchema.index({ userId: 1, status: 1, closedAt: 1 });
+TradeSchema.index({ runId: 1, cycle: 1, martingaleLevel: 1 });
+TradeSchema.index({ exchange: 1, clientOrderId: 1 }, { unique: true, partialFilterExpression: { clientOrderId: { $type: 'string' } } });
+
+// Size actually held - the reconciled fill when known
+TradeSchema.methods.getQuantity = function() {
+  return this.filledQuantity ?? this.quantity;
+};
 
-// Calculate profit/loss when trade is closed
+// Calculate profit/loss when trade is closed (a 'sell' entry is a short)
 TradeSchema.methods.calculatePnL = function() {
   if (this.exitPrice && this.entryPrice) {
-    const priceDifference = this.exitPrice - this.entryPrice;
-    const grossProfit = (priceDifference * this.quantity) - this.fees;
+    const result = pnl.realizedPnl({
+      side: this.side,
+      entryPrice: this.entryPrice,
+      exitPrice: this.exitPrice,
+      quantity: this.getQuantity(),
+      contractSize: this.contractSize || 1,
+      fees: this.fees,
+      funding: this.funding || 0
+    });
     
-    if (grossProfit > 0) {
-      this.profit = grossProfit;
+    if (result.net > 0) {
+      this.profit = result.net;
       this.loss = 0;
     } else {
       this.profit = 0;
-      this.loss = Math.abs(grossProfit);
+      this.loss = Math.abs(result.net);
     }
+    this.roe = pnl.roe(result.net, this.margin);
   }
   return this.profit - this.loss;
 };
 
+// Open PnL at a mark price (fees and funding so far included)
+TradeSchema.methods.getUnrealizedPnl = function(markPrice) {
+  const gross = pnl.unrealizedPnl({
+    side: this.side,
+    entryPrice: this.entryPrice,
+    markPrice,
+    quantity: this.getQuantity(),
+    contractSize: this.contractSize || 1
+  });
+  return gross - this.fees + (this.funding || 0);
+};
+
+// Close every open entry on a symbol at one exit and book the realized PnL on the user.
+// Each trade is claimed with a conditional update so a concurrent close can't count it twice.
+// Only entries the exchange confirmed (an order id, or a fill) belong to the position; intents
+// whose order never got a result back are marked failed instead of booked. Paper trades
+// are closed too but stay out of the user's stats.
+TradeSchema.statics.closeOpenTrades = async function(userId, symbol, { exchange, exitPrice, fees = 0, funding = 0, closedAt = new Date() }) {
+  const scope = { userId, symbol, closedAt: null };
+  if (exchange) scope.exchange = exchange;
+
+  const unconfirmed = await this.updateMany(
+    { ...scope, status: 'pending', orderId: null },
+    {
+      $set: { status: 'failed', reconciledAt: new Date() },
+      $push: { discrepancies: { type: 'order_unconfirmed', expected: 'order result', actual: null } }
+    }
+  );
+
+  const trades = await this.find({
+    ...scope,
+    $or: [{ status: 'filled' }, { status: 'pending', orderId: { $ne: null } }]
+  });
+  const totalQuantity = trades.reduce((sum, trade) => sum + trade.getQuantity(), 0);
+  const result = { closed: 0, pnl: 0, profit: 0, loss: 0, wins: 0, trades: [], unconfirmed: unconfirmed.modifiedCount };
+  const stats = { wins: 0, profit: 0, loss: 0 };
+
+  for (const trade of trades) {
+    // Exit fees and funding are split across the entries by size
+    const share = totalQuantity > 0 ? trade.getQuantity() / totalQuantity : 0;
+    trade.fees += fees * share;
+    trade.funding = (trade.funding || 0) + funding * share;
+    trade.exitPrice = exitPrice;
+    trade.closedAt = closedAt;
+    trade.status = 'filled'; // The position existed, so the entry filled
+    trade.calculatePnL();
+
+    const claimed = await this.updateOne(
+      { _id: trade._id, closedAt: null },
+      {
+        $set: {
+          status: trade.status,
+          fees: trade.fees,
+          funding: trade.funding,
+          roe: trade.roe,
+          exitPrice: trade.exitPrice,
+          closedAt: trade.closedAt,
+          profit: trade.profit,
+          loss: trade.loss
+        }
+      }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    result.closed++;
+    result.profit += trade.profit;
+    result.loss += trade.loss;
+    result.pnl += trade.profit - trade.loss;
+    if (trade.profit > 0) result.wins++;
+    result.trades.push(trade);
+
+    if (trade.exchange !== 'paper') {
+      stats.profit += trade.profit;
+      stats.loss += trade.loss;
+      if (trade.profit > 0) stats.wins++;
+    }
+  }
+
+  if (stats.profit || stats.loss || stats.wins) {
+    await User.updateOne({ _id: userId }, {
+      $inc: {
+        'stats.successfulTrades': stats.wins,
+        'stats.totalProfit': stats.profit,
+        'stats.totalLoss': stats.loss
+      }
+    });
+  }
+
+  return result;
+};
+
+// Write off the open entries of a paper run whose account was lost with the process that
+// held it. There is no exit to book, so they're closed without PnL and flagged instead of
+// being left for the reconciler to close at a made-up price.
+TradeSchema.statics.writeOffPaperRun = async function(runId) {
+  const now = new Date();
+  const discrepancy = { type: 'paper_account_lost', expected: 'open position', actual: null };
+
+  await this.updateMany(
+    { runId, exchange: 'paper', status: 'pending' },
+    { $set: { status: 'cancelled', reconciledAt: now }, $push: { discrepancies: discrepancy } }
+  );
+  const result = await this.updateMany(
+    { runId, exchange: 'paper', status: 'filled', closedAt: null },
+    { $set: { closedAt: now, reconciledAt: now }, $push: { discrepancies: discrepancy } }
+  );
+  return result.modifiedCount;
+};
+
+// Record a DB/exchange mismatch once per type (later checks update the values)
+TradeSchema.methods.flagDiscrepancy = function(type, expected, actual) {
+  const existing = this.discrepancies.find(d => d.type === type);
+  if (existing) {
+    existing.expected = expected;
+    existing.actual = actual;
+    return false;
+  }
+
+  this.discrepancies.push({ type, expected, actual });
+  return true;
+};
+
 module.exports = mongoose.model('Trade', TradeSchema);
\ No newline at end of file
@@ -50,16 +50,15 @@ const UserSchema = new mongoose.Schema({
   trading: {
     exchange: {
       type: String,
-      enum: ['bybit', 'binance', 'bitget'],
+      enum: ['bybit', 'binance', 'bitget', 'okx', 'paper'],
       required: false // Changed to false since users start without API keys
     },
     strategy: {
-      type: String,
-      enum: ['steady_climb', 'power_surge'],
+      type: String, // Template key or Strategy id
       default: 'steady_climb'
     },
     tradingPair: {
-      type: String,
+      type: String, // Display symbol - the pair catalog maps it to the exchange's perpetual
       default: 'BTC/USDT'
     },
     accountBalance: {
@@ -95,6 +94,53 @@ const UserSchema = new mongoose.Schema({
     testnet: {
       type: Boolean,
       default: true
+    },
+    // Account risk limits - unset fields fall back to RiskManager defaults, null disables
+    riskLimits: {
+      maxDrawdownPercent: {
+        type: Number,
+        min: 1,
+        max: 100
+      },
+      maxDailyLoss: {
+        type: Number, // USDT
+        min: 0
+      },
+      maxMartingaleLevel: {
+        type: Number,
+        min: 1,
+        max: 20
+      },
+      flattenOnBreach: {
+        type: Boolean
+      }
+    },
+    // Circuit breaker state
+    risk: {
+      peakEquity: {
+        type: Number,
+        default: null
+      },
+      dailyRealizedPnl: {
+        type: Number,
+        default: 0
+      },
+      dailyPnlDate: {
+        type: String, // UTC day (YYYY-MM-DD) the daily total belongs to
+        default: null
+      },
+      halted: {
+        type: Boolean,
+        default: false
+      },
+      haltReason: {
+        type: String,
+        default: null
+      },
+      haltedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
 
@@ -5,7 +5,9 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
 const User = require('../models/User');
+const Strategy = require('../models/Strategy');
 const auth = require('../middleware/auth');
+const { getTradingEngine } = require('../services/registry');
 
 // Register new user
 router.post('/register', async (req, res) => {
@@ -214,16 +216,25 @@ router.put('/trading-config', auth, async (req, res) => {
       }
     }
 
-    // Validate strategy
+    // Validate strategy - a template key or one of the user's own ladders
     if (strategy) {
-      const supportedStrategies = ['steady_climb', 'power_surge'];
-      if (!supportedStrategies.includes(strategy)) {
+      const strategyConfig = await Strategy.resolveForUser(strategy, req.user.id);
+      if (!strategyConfig) {
         return res.status(400).json({ 
-          message: 'Invalid strategy. Please choose: steady_climb or power_surge' 
+          message: 'Invalid strategy. Please choose steady_climb, power_surge or one of your saved strategies' 
         });
       }
     }
 
+    // Validate pair - a USDT perpetual listed on the exchange it will trade on
+    if (tradingPair) {
+      const lookup = await getTradingEngine().lookupPair(exchange || req.user.trading.exchange, tradingPair);
+      if (!lookup.ok) {
+        return res.status(lookup.status).json({ message: lookup.message });
+      }
+      updates['trading.tradingPair'] = lookup.pair.symbol;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -234,13 +245,8 @@ router.put('/trading-config', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // If trading is active, restart with new config
-    if (user.trading.isActive) {
-      const TradingBot = require('../services/TradingBot');
-      const bot = new TradingBot();
-      bot.removeUser(req.user.id);
-      await bot.addUser(req.user.id);
-    }
+    // New keys/exchange take effect on the next session; running ladders keep their settings
+    await getTradingEngine().refreshUser(req.user.id);
 
     res.json({
       message: 'Trading configuration updated successfully',
@@ -4,7 +4,13 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Trade = require('../models/Trade');
+const StrategyRun = require('../models/StrategyRun');
+const Strategy = require('../models/Strategy');
 const auth = require('../middleware/auth');
+const { getTradingEngine } = require('../services/registry');
+const { marketData } = require('../services/MarketDataService');
+const { getMarketExchange } = require('../services/PairCatalog');
+const pnl = require('../utils/pnl');
 
 // Get user dashboard data
 router.get('/stats', auth, async (req, res) => {
@@ -76,33 +82,51 @@ router.get('/stats', auth, async (req, res) => {
 router.put('/trading/settings', auth, async (req, res) => {
   try {
     const { tradingPair, strategy, isActive } = req.body;
-    
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      {
-        'trading.tradingPair': tradingPair,
-        'trading.strategy': strategy,
-        'trading.isActive': isActive
-      },
-      { new: true }
-    );
 
-    if (!user) {
+    const existing = await User.findById(req.user.id);
+    if (!existing) {
       return res.status(404).json({ message: 'User not found' });
     }
+    const wasActive = existing.trading.isActive;
+
+    // A template key or one of the user's own ladders
+    if (strategy) {
+      const strategyConfig = await Strategy.resolveForUser(strategy, req.user.id);
+      if (!strategyConfig) {
+        return res.status(400).json({
+          message: 'Invalid strategy. Please choose steady_climb, power_surge or one of your saved strategies'
+        });
+      }
+    }
 
-    // If trading is being activated, add user to bot
-    if (isActive && !user.trading.isActive) {
-      const TradingBot = require('../services/TradingBot');
-      const bot = new TradingBot();
-      await bot.addUser(req.user.id);
+    const updates = {};
+    if (tradingPair) {
+      // Stored as the display symbol; must be listed on the user's exchange
+      const lookup = await getTradingEngine().lookupPair(existing.trading.exchange, tradingPair);
+      if (!lookup.ok) {
+        return res.status(lookup.status).json({ message: lookup.message });
+      }
+      updates['trading.tradingPair'] = lookup.pair.symbol;
+    }
+    if (strategy) updates['trading.strategy'] = strategy;
+    await User.findByIdAndUpdate(req.user.id, updates);
+
+    // The engine starts/stops the runs and keeps trading.isActive in step
+    const engine = getTradingEngine();
+    let activation = null;
+    if (isActive === true && !wasActive) {
+      activation = await engine.activateUser(req.user.id);
+    } else if (isActive === false && wasActive) {
+      await engine.deactivateUser(req.user.id);
     }
 
-    // If trading is being deactivated, remove user from bot
-    if (!isActive && user.trading.isActive) {
-      const TradingBot = require('../services/TradingBot');
-      const bot = new TradingBot();
-      bot.removeUser(req.user.id);
+    const user = await User.findById(req.user.id);
+
+    if (activation && !activation.started) {
+      return res.status(400).json({
+        message: activation.reason,
+        trading: user.trading
+      });
     }
 
     res.json({
@@ -141,6 +165,9 @@ router.get('/trades', auth, async (req, res) => {
         exitPrice: trade.exitPrice,
         profit: trade.profit,
         loss: trade.loss,
+        fees: trade.fees,
+        funding: trade.funding,
+        roe: trade.roe,
         status: trade.status,
         martingaleLevel: trade.martingaleLevel,
         strategy: trade.strategy,
@@ -162,6 +189,54 @@ router.get('/trades', auth, async (req, res) => {
   }
 });
 
+// Prices and candles for the user's running symbols, served from the market-data cache
+// (?symbols=BTC/USDT,ETH/USDT&timeframe=1h&limit=100)
+router.get('/market', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const timeframe = req.query.timeframe || '1h';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    let symbols = req.query.symbols
+      ? req.query.symbols.split(',').map(symbol => symbol.trim()).filter(Boolean)
+      : await StrategyRun.distinct('symbol', { userId: req.user.id, status: 'active' });
+    if (symbols.length === 0 && user.trading.tradingPair) {
+      symbols = [user.trading.tradingPair];
+    }
+
+    const userExchange = user.trading.exchange || 'binance';
+    const exchange = getMarketExchange(userExchange);
+    const markets = await Promise.all(symbols.slice(0, 10).map(async (symbol) => {
+      try {
+        const lookup = await getTradingEngine().lookupPair(userExchange, symbol);
+        if (!lookup.ok) return { symbol, error: lookup.message };
+
+        const { exchangeSymbol } = lookup.pair;
+        const [ticker, candles] = await Promise.all([
+          marketData.getTicker(exchange, exchangeSymbol),
+          marketData.getCandles(exchange, exchangeSymbol, timeframe, limit)
+        ]);
+        return {
+          symbol: lookup.pair.symbol,
+          exchangeSymbol,
+          price: ticker.last || ticker.close,
+          change24h: ticker.percentage ?? null,
+          volume24h: ticker.quoteVolume ?? null,
+          candles
+        };
+      } catch (error) {
+        return { symbol, error: error.message };
+      }
+    }));
+
+    res.json({ exchange, timeframe, markets });
+
+  } catch (error) {
+    console.error('Error fetching market data:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get performance analytics
 router.get('/analytics', auth, async (req, res) => {
   try {
@@ -208,7 +283,7 @@ router.get('/analytics', auth, async (req, res) => {
       dailyData[date].trades += 1;
       dailyData[date].profit += trade.profit;
       dailyData[date].loss += trade.loss;
-      dailyData[date].volume += trade.quantity * trade.price;
+      dailyData[date].volume += tradeNotional(trade);
     });
 
     const chartData = Object.values(dailyData).map(day => ({
@@ -234,7 +309,7 @@ router.get('/analytics', auth, async (req, res) => {
         winRate: trades.length > 0 ? 
           (trades.filter(t => t.profit > t.loss).length / trades.length) * 100 : 0,
         avgTradeSize: trades.length > 0 ? 
-          trades.reduce((sum, t) => sum + (t.quantity * t.price), 0) / trades.length : 0
+          trades.reduce((sum, t) => sum + tradeNotional(t), 0) / trades.length : 0
       }
     });
 
@@ -289,4 +364,9 @@ function getTimeAgo(date) {
   return `${days} day${days > 1 ? 's' : ''} ago`;
 }
 
+// Helper function for a trade's USDT size (older records have no stored notional)
+function tradeNotional(trade) {
+  return trade.notional ?? pnl.notional(trade.price, trade.quantity, trade.contractSize || 1);
+}
+
 module.exports = router;
\ No newline at end of file
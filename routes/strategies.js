@@ -0,0 +1,183 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Strategy = require('../models/Strategy');
+const StrategyRun = require('../models/StrategyRun');
+const auth = require('../middleware/auth');
+
+const MAX_CUSTOM_STRATEGIES = 20;
+
+// Fields a user may set on their own ladders
+const EDITABLE_FIELDS = [
+  'name', 'description', 'capitalBase', 'leverage', 'martingaleMultipliers',
+  'maxLevels', 'takeProfitPercent', 'levelStepPercent', 'stopLossPercent', 'entryConditions'
+];
+
+function pickEditable(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+function formatStrategy(strategy) {
+  return {
+    id: strategy.isTemplate ? strategy.key : strategy._id,
+    name: strategy.name,
+    description: strategy.description,
+    type: strategy.type,
+    isTemplate: strategy.isTemplate,
+    readOnly: strategy.isTemplate,
+    capitalBase: strategy.capitalBase,
+    leverage: strategy.leverage,
+    martingaleMultipliers: strategy.martingaleMultipliers,
+    maxLevels: strategy.maxLevels,
+    takeProfitPercent: strategy.takeProfitPercent,
+    levelStepPercent: strategy.levelStepPercent,
+    stopLossPercent: strategy.stopLossPercent,
+    entryConditions: strategy.entryConditions || null,
+    createdAt: strategy.createdAt,
+    updatedAt: strategy.updatedAt
+  };
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid strategy',
+    errors: Object.values(error.errors).map(e => e.message)
+  });
+}
+
+// Find a strategy the user owns (templates are never returned here)
+async function findOwned(id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Strategy.findOne({ _id: id, owner: userId });
+}
+
+// List templates and the user's own ladders
+router.get('/', auth, async (req, res) => {
+  try {
+    const strategies = await Strategy.find({
+      $or: [{ isTemplate: true }, { owner: req.user.id }]
+    }).sort({ isTemplate: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      strategies: strategies.map(formatStrategy)
+    });
+
+  } catch (error) {
+    console.error('List strategies error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Get one strategy (template key or own id)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const query = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? { _id: req.params.id, $or: [{ isTemplate: true }, { owner: req.user.id }] }
+      : { key: req.params.id, isTemplate: true };
+
+    const strategy = await Strategy.findOne(query);
+    if (!strategy) {
+      return res.status(404).json({ success: false, message: 'Strategy not found' });
+    }
+
+    res.json({ success: true, strategy: formatStrategy(strategy) });
+
+  } catch (error) {
+    console.error('Get strategy error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Create a custom ladder
+router.post('/', auth, async (req, res) => {
+  try {
+    const count = await Strategy.countDocuments({ owner: req.user.id });
+    if (count >= MAX_CUSTOM_STRATEGIES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_CUSTOM_STRATEGIES} custom strategies`
+      });
+    }
+
+    const strategy = new Strategy({
+      ...pickEditable(req.body),
+      owner: req.user.id,
+      isTemplate: false,
+      type: 'custom'
+    });
+    await strategy.save();
+
+    console.log(`✅ Custom strategy "${strategy.name}" created by user ${req.user.id}`);
+
+    res.status(201).json({ success: true, strategy: formatStrategy(strategy) });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Create strategy error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Update a custom ladder - templates are read-only
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const strategy = await findOwned(req.params.id, req.user.id);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Strategy not found or read-only'
+      });
+    }
+
+    Object.assign(strategy, pickEditable(req.body));
+    await strategy.save();
+
+    res.json({ success: true, strategy: formatStrategy(strategy) });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Update strategy error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Delete a custom ladder that isn't being traded
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const strategy = await findOwned(req.params.id, req.user.id);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Strategy not found or read-only'
+      });
+    }
+
+    const activeRuns = await StrategyRun.countDocuments({
+      userId: req.user.id,
+      strategy: strategy._id.toString(),
+      status: 'active'
+    });
+    if (activeRuns > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Stop the running strategy before deleting it'
+      });
+    }
+
+    await strategy.deleteOne();
+
+    res.json({ success: true, message: 'Strategy deleted' });
+
+  } catch (error) {
+    console.error('Delete strategy error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+module.exports = router;
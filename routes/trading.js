@@ -1,34 +1,95 @@
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const ExchangeService = require('../services/ExchangeService');
+const Backtester = require('../services/Backtester');
+const { parseCandles } = require('../utils/candles');
+const { sizeOrder } = require('../utils/orderSizing');
+const { getTradingEngine } = require('../services/registry');
+const { riskManager } = require('../services/RiskManager');
+const { marketData } = require('../services/MarketDataService');
+const { pairCatalog, sameMarket, getMarketExchange, SUPPORTED_EXCHANGES } = require('../services/PairCatalog');
 const User = require('../models/User');
+const Strategy = require('../models/Strategy');
+const StrategyRun = require('../models/StrategyRun');
+const { getPlanLimits } = require('../config/plans');
+const { ExchangeApiError, exchangeErrorResponse, isOrderOutcomeUnknown, toExchangeError } = require('../utils/exchangeErrors');
+const { projectLadder, assessLadder } = require('../utils/ladder');
+const { ORDER_RETRY_CODES } = require('../services/ExchangeRequestGuard');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+// Backtests run in this process next to the live engine, so uploads stay small enough
+// to replay in well under a second (a year of hourly candles is 8760)
+const MAX_BACKTEST_CANDLES = 20000;
+const BACKTEST_BODY_LIMIT = '5mb';
+
+function isExchangeConnected(user) {
+  return getTradingEngine().isExchangeConnected(user);
+}
+
+// Run a handler under the user's execution lock so it can't race a scheduled tick
+// or the same request hitting another instance
+function withUserLock(handler) {
+  return async (req, res) => {
+    try {
+      await getTradingEngine().withUserLock(req.user.id, () => handler(req, res));
+    } catch (error) {
+      if (res.headersSent) return;
+      if (error.name === 'LockBusyError') {
+        return res.status(409).json({ 
+          success: false,
+          code: 'ACTION_IN_PROGRESS',
+          message: 'Another trading action is in progress for your account. Please try again in a moment.',
+          retryable: true
+        });
+      }
+      console.error('Trading lock error:', error);
+      const { status, body } = exchangeErrorResponse(error);
+      res.status(status).json(body);
+    }
+  };
+}
 
-// Global exchange service instance
-const exchangeService = new ExchangeService();
+// Client order id of a test order. With an Idempotency-Key it is derived from the key, so a
+// retry finds the order the first attempt placed instead of sending another one.
+function testOrderClientId(req) {
+  const seed = req.idempotencyKey ? `${req.user.id}:${req.idempotencyKey}` : crypto.randomBytes(16).toString('hex');
+  return `vxtest${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 26)}`;
+}
 
 // Connect to exchange - FIXED VERSION WITH OKX SUPPORT
-router.post('/connect', auth, async (req, res) => {
+router.post('/connect', auth, withUserLock(async (req, res) => {
   try {
     const { exchange, apiKey, secret, passphrase } = req.body;
+
+    // Running strategies belong to the current session - replacing it would orphan them
+    if (getTradingEngine().isUserTrading(req.user.id)) {
+      return res.status(409).json({ 
+        success: false,
+        code: 'TRADING_ACTIVE',
+        message: 'Stop your running strategies before connecting a different exchange or API keys',
+        retryable: false
+      });
+    }
     
     console.log(`🔗 Connect request for ${exchange}`);
     console.log(`📋 Received data:`, { exchange, hasApiKey: !!apiKey, hasSecret: !!secret, hasPassphrase: !!passphrase });
     
-    if (!exchange || !apiKey || !secret) {
+    if (!exchange || (exchange !== 'paper' && (!apiKey || !secret))) {
       return res.status(400).json({ 
         success: false,
         message: 'Exchange, API key, and secret are required' 
       });
     }
 
-    // Validate exchange - UPDATED TO INCLUDE OKX
-    const validExchanges = ['bybit', 'binance', 'bitget', 'okx'];
+    // Validate exchange - UPDATED TO INCLUDE OKX AND PAPER TRADING
+    const validExchanges = ['bybit', 'binance', 'bitget', 'okx', 'paper'];
     if (!validExchanges.includes(exchange)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Invalid exchange. Supported: bybit, binance, bitget, okx' 
+        message: 'Invalid exchange. Supported: bybit, binance, bitget, okx, paper' 
       });
     }
 
@@ -42,18 +103,23 @@ router.post('/connect', auth, async (req, res) => {
 
     console.log(`🧪 Testing ${exchange} connection...`);
 
-    // Test the API connection
+    // Test the API connection with a throwaway instance - the keys aren't saved yet
+    const exchangeService = new ExchangeService();
     const result = await exchangeService.connect(apiKey, secret, exchange, passphrase);
 
     // If successful, save the API keys to user database
     const updateData = {
-      'trading.apiKey': apiKey,
-      'trading.apiSecret': secret,
       'trading.exchange': exchange,
       'trading.connected': true,
       'trading.lastConnected': new Date()
     };
 
+    // Paper accounts keep whatever live keys were saved before
+    if (exchange !== 'paper') {
+      updateData['trading.apiKey'] = apiKey;
+      updateData['trading.apiSecret'] = secret;
+    }
+
     // Add passphrase for OKX and Bitget
     if ((exchange === 'okx' || exchange === 'bitget') && passphrase) {
       updateData['trading.passphrase'] = passphrase;
@@ -61,6 +127,9 @@ router.post('/connect', auth, async (req, res) => {
 
     await User.findByIdAndUpdate(req.user.id, updateData);
 
+    // Drop any cached session so the next request uses the new keys
+    getTradingEngine().removeSession(req.user.id);
+
     console.log(`✅ ${exchange} connected successfully for user ${req.user.id}`);
 
     res.json({
@@ -72,21 +141,151 @@ router.post('/connect', auth, async (req, res) => {
 
   } catch (error) {
     console.error(`❌ Exchange connection error for ${req.body.exchange}:`, error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
+  }
+}));
+
+// Tradable pairs - active linear USDT perpetuals (?exchange= defaults to the user's exchange)
+router.get('/pairs', auth, async (req, res) => {
+  try {
+    const exchange = req.query.exchange || req.user.trading.exchange || 'binance';
+    if (!SUPPORTED_EXCHANGES.includes(exchange)) {
+      return res.status(400).json({ 
+        success: false,
+        message: `Unsupported exchange. Use ${SUPPORTED_EXCHANGES.join(', ')}` 
+      });
+    }
+
+    const pairs = await pairCatalog.getPairs(exchange);
+
+    res.json({
+      success: true,
+      exchange,
+      count: pairs.length,
+      pairs
+    });
+
+  } catch (error) {
+    console.error('Pairs error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json({ ...body, message: `Could not load markets: ${body.message}` });
+  }
+});
+
+// What a ladder means in USDT before starting it: margin and exposure per level, average entry,
+// break-even move and liquidation price if every level triggers one step after the last
+// (?balance=&pair=&direction=long|short, pair defaults to BTC/USDT on the user's exchange)
+router.get('/strategies/:id/preview', auth, async (req, res) => {
+  try {
+    const balance = Number(req.query.balance);
+    if (!Number.isFinite(balance) || balance <= 0) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'balance must be a positive USDT amount' 
+      });
+    }
+
+    const direction = req.query.direction || 'long';
+    if (!['long', 'short'].includes(direction)) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid direction. Use long or short' 
+      });
+    }
+
+    const strategyConfig = await Strategy.resolveForUser(req.params.id, req.user.id);
+    if (!strategyConfig) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Strategy not found' 
+      });
+    }
+
+    const exchange = req.query.exchange || req.user.trading.exchange || 'binance';
+    const lookup = await getTradingEngine().lookupPair(exchange, req.query.pair || 'BTC/USDT');
+    if (!lookup.ok) {
+      return res.status(lookup.status).json({ 
+        success: false,
+        code: lookup.code,
+        message: lookup.message,
+        retryable: lookup.retryable 
+      });
+    }
+    const symbol = lookup.pair.exchangeSymbol;
+    const marketExchange = getMarketExchange(exchange);
+    const price = await marketData.getPrice(marketExchange, symbol);
+
+    // Not every exchange serves its tiers without keys - the default rate is conservative
+    let tiers = null;
+    try {
+      tiers = await marketData.getLeverageTiers(marketExchange, symbol);
+    } catch (error) {
+      console.error(`⚠️ Could not load ${symbol} leverage tiers:`, error.message);
+    }
+
+    const levels = projectLadder(strategyConfig, {
+      balance,
+      price,
+      side: direction === 'short' ? 'sell' : 'buy',
+      tiers
+    });
+    const assessment = assessLadder(levels, { availableMargin: balance });
+    const last = levels[levels.length - 1];
+
+    res.json({
+      success: true,
+      strategy: {
+        id: strategyConfig.id,
+        name: strategyConfig.name,
+        leverage: strategyConfig.leverage,
+        maxLevels: strategyConfig.maxLevels,
+        levelStepPercent: strategyConfig.levelStepPercent,
+        takeProfitPercent: strategyConfig.takeProfitPercent
+      },
+      exchange,
+      pair: lookup.pair.symbol,
+      direction,
+      balance,
+      price,
+      maintenanceTiers: tiers && tiers.length > 0 ? 'exchange' : 'default',
+      totalMargin: last.cumulativeMargin,
+      totalNotional: last.cumulativeNotional,
+      marginPercentOfBalance: last.cumulativeMargin / balance * 100,
+      // Distance from the level 1 entry to the last level's trigger
+      ladderDepthPercent: Math.abs(last.entryPrice - price) / price * 100,
+      // The whole ladder filled - where the averaged position is liquidated
+      liquidationPrice: last.liquidationPrice,
+      warnings: assessment.allowed ? assessment.warnings : [assessment.reason, ...assessment.warnings],
+      levels: levels.map(level => ({
+        level: level.level,
+        triggerPrice: level.entryPrice,
+        margin: level.margin,
+        notional: level.notional,
+        cumulativeMargin: level.cumulativeMargin,
+        cumulativeNotional: level.cumulativeNotional,
+        averageEntry: level.averageEntry,
+        breakEvenMovePercent: level.breakEvenMovePercent,
+        takeProfitPrice: level.takeProfitPrice,
+        liquidationPrice: level.liquidationPrice
+      }))
     });
+
+  } catch (error) {
+    console.error('Strategy preview error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
 // Start trading - UPDATED VERSION
-router.post('/start', auth, async (req, res) => {
+router.post('/start', auth, idempotency, withUserLock(async (req, res) => {
   try {
-    const { pair, strategy } = req.body;
+    const { pair, strategy, direction = 'long' } = req.body;
     const user = await User.findById(req.user.id);
     
     // Check if user has connected exchange
-    if (!user.trading.connected || !user.trading.apiKey) {
+    if (!isExchangeConnected(user)) {
       return res.status(400).json({ 
         success: false,
         message: 'Please connect your exchange API first in Settings' 
@@ -100,75 +299,153 @@ router.post('/start', auth, async (req, res) => {
       });
     }
 
-    // Valid strategies
-    if (!['steady_climb', 'power_surge'].includes(strategy)) {
+    // Built-in template key or one of the user's own ladders
+    const strategyConfig = await Strategy.resolveForUser(strategy, req.user.id);
+    if (!strategyConfig) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Invalid strategy. Use steady_climb, power_surge or one of your saved strategies' 
+      });
+    }
+
+    if (!['long', 'short', 'auto'].includes(direction)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Invalid strategy. Use steady_climb or power_surge' 
+        message: 'Invalid direction. Use long, short or auto' 
+      });
+    }
+
+    // Any active USDT perpetual the user's exchange lists
+    const lookup = await getTradingEngine().lookupPair(user.trading.exchange, pair);
+    if (!lookup.ok) {
+      return res.status(lookup.status).json({ 
+        success: false,
+        code: lookup.code,
+        message: lookup.message,
+        retryable: lookup.retryable 
       });
     }
+    const symbol = lookup.pair.exchangeSymbol;
 
-    // Valid pairs - EXPANDED FOR MORE EXCHANGES
-    const validPairs = [
-      'HYPE/USDT', 'BTC/USDT', 'ETH/USDT', 'BNB/USDT', 
-      'SOL/USDT', 'ADA/USDT', 'XRP/USDT', 'DOGE/USDT',
-      'AVAX/USDT', 'LINK/USDT', 'DOT/USDT', 'UNI/USDT'
-    ];
-    if (!validPairs.includes(pair)) {
+    if (lookup.pair.maxLeverage && strategyConfig.leverage > lookup.pair.maxLeverage) {
       return res.status(400).json({ 
         success: false,
-        message: 'Invalid trading pair' 
+        message: `${lookup.pair.symbol} allows at most ${lookup.pair.maxLeverage}x leverage on ${user.trading.exchange} - ${strategyConfig.name} uses ${strategyConfig.leverage}x` 
+      });
+    }
+
+    // Concurrent runs are capped per plan and share the balance between them
+    const limits = await getTradingEngine().checkRunLimits(user, symbol, req.body.allocationPercent);
+    if (!limits.ok) {
+      return res.status(limits.status).json({ 
+        success: false,
+        message: limits.message 
       });
     }
+    const { allocationPercent } = limits;
 
-    console.log(`🚀 Starting LIVE trading: ${strategy} on ${pair} using ${user.trading.exchange}`);
+    console.log(`🚀 Starting LIVE trading: ${strategyConfig.name} on ${symbol} using ${user.trading.exchange}`);
     console.log(`🔴 WARNING: This will trade REAL MONEY on ${user.trading.exchange}`);
 
-    // Make sure exchange is connected with user's API keys
-    await exchangeService.connect(
-      user.trading.apiKey, 
-      user.trading.apiSecret, 
-      user.trading.exchange,
-      user.trading.passphrase
-    );
+    // Get this user's own exchange session
+    const exchangeService = await getTradingEngine().getSession(user);
 
     // Start the Martingale strategy
-    const result = await exchangeService.startMartingaleStrategy(pair, strategy);
+    const result = await exchangeService.startMartingaleStrategy(symbol, strategyConfig, { direction, allocationPercent });
+    const run = exchangeService.getRunSummary(symbol);
 
-    // Update user trading status
+    // Update user trading status (pair and strategy now live on each run)
     await User.findByIdAndUpdate(req.user.id, {
       'trading.isActive': true,
-      'trading.tradingPair': pair,
-      'trading.strategy': strategy,
       'trading.lastTradeTime': new Date()
     });
 
     res.json({
       success: true,
+      runId: run ? run.runId : null,
+      allocationPercent,
       orderId: result.orderId,
       symbol: result.symbol,
+      pair: lookup.pair.symbol,
+      side: result.side,
+      direction: direction,
       amount: result.amount,
       level: result.level,
       strategy: result.strategy,
       exchange: user.trading.exchange,
-      message: `🔴 LIVE ${strategy.replace('_', ' ').toUpperCase()} strategy started for ${pair} on ${user.trading.exchange.toUpperCase()}`
+      // The strategy's entry conditions aren't met yet - level 1 opens once they are
+      awaitingEntry: !!result.awaitingEntry,
+      entryReasons: result.entryReasons || [],
+      // The level 1 order's result was lost - the run confirms it on its next tick
+      orderUnconfirmed: !!result.orderUnconfirmed,
+      // Pre-trade ladder check: margin the ladder needs, projected liquidation per level, warnings
+      riskCheck: result.ladderCheck || null,
+      message: result.orderUnconfirmed
+        ? `${strategyConfig.name} started for ${lookup.pair.symbol} - confirming the first order with ${user.trading.exchange}`
+        : result.awaitingEntry
+        ? `${strategyConfig.name} started for ${lookup.pair.symbol} - waiting for entry conditions: ${result.entryReasons.join('; ')}`
+        : `🔴 LIVE ${strategyConfig.name.toUpperCase()} strategy started for ${lookup.pair.symbol} on ${user.trading.exchange.toUpperCase()}`
     });
 
   } catch (error) {
     console.error('Start trading error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
-    });
+    if (error.name === 'RiskLimitError') {
+      return res.status(403).json({ 
+        success: false,
+        code: 'RISK_LIMIT_REACHED',
+        reason: error.code,
+        message: error.message,
+        retryable: false,
+        riskCheck: error.details || null
+      });
+    }
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
-});
+}));
 
-// Stop trading
-router.post('/stop', auth, async (req, res) => {
+// Stop trading - one run (runId or symbol) or everything
+router.post('/stop', auth, withUserLock(async (req, res) => {
   try {
+    const { runId, symbol } = req.body;
+    const user = await User.findById(req.user.id);
+
+    if (runId || symbol) {
+      const exchangeService = isExchangeConnected(user) ? await getTradingEngine().getSession(user) : null;
+      const runSymbol = exchangeService ? exchangeService.findStrategy({ runId, symbol }) : null;
+      if (!runSymbol) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Strategy run not found' 
+        });
+      }
+
+      console.log(`🛑 Stopping LIVE trading on ${runSymbol}...`);
+      const result = await exchangeService.stopStrategy(runSymbol);
+
+      // The user stays active while other runs are going
+      const remainingRuns = await StrategyRun.countDocuments({ userId: req.user.id, status: 'active' });
+      await User.findByIdAndUpdate(req.user.id, {
+        'trading.isActive': remainingRuns > 0,
+        'trading.lastTradeTime': new Date()
+      });
+
+      return res.json({
+        success: true,
+        runId: result.runId,
+        symbol: result.symbol,
+        pnl: result.pnl,
+        remainingRuns,
+        message: `Strategy on ${result.symbol} stopped and position closed`
+      });
+    }
+
     console.log('🛑 Stopping LIVE trading...');
 
-    await exchangeService.stopAllStrategies();
+    if (isExchangeConnected(user)) {
+      const exchangeService = await getTradingEngine().getSession(user);
+      await exchangeService.stopAllStrategies();
+    }
 
     // Update user trading status
     await User.findByIdAndUpdate(req.user.id, {
@@ -183,31 +460,25 @@ router.post('/stop', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Stop trading error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
-    });
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
-});
+}));
 
-// Get trading status
+// Get trading status (?runId= or ?symbol= for a single run)
 router.get('/status', auth, async (req, res) => {
   try {
+    const { runId, symbol } = req.query;
     const user = await User.findById(req.user.id);
-    const isTrading = exchangeService.isTrading();
+    let exchangeService = getTradingEngine().peekSession(req.user.id, user.trading.exchange);
     
     // Only get balance if user is connected
     let balance = 0;
     let positions = [];
     
-    if (user.trading.connected && user.trading.apiKey) {
+    if (isExchangeConnected(user)) {
       try {
-        await exchangeService.connect(
-          user.trading.apiKey, 
-          user.trading.apiSecret, 
-          user.trading.exchange,
-          user.trading.passphrase
-        );
+        exchangeService = await getTradingEngine().getSession(user);
         balance = await exchangeService.getAccountBalance();
         positions = await exchangeService.getActivePositions();
       } catch (error) {
@@ -215,9 +486,31 @@ router.get('/status', auth, async (req, res) => {
       }
     }
 
+    const runs = exchangeService ? exchangeService.getRunSummaries() : [];
+
+    if (runId || symbol) {
+      const run = runs.find(r => (runId && r.runId === runId) || (symbol && sameMarket(r.symbol, symbol)));
+      if (!run) {
+        return res.status(404).json({ 
+          success: false,
+          message: 'Strategy run not found' 
+        });
+      }
+
+      return res.json({
+        success: true,
+        run,
+        history: exchangeService.getStrategyHistory(run.symbol).slice(-50),
+        position: positions.find(p => sameMarket(p.symbol, run.symbol)) || null,
+        balance
+      });
+    }
+
     res.json({
       success: true,
-      isTrading: isTrading,
+      isTrading: exchangeService ? exchangeService.isTrading() : false,
+      runs,
+      maxConcurrentRuns: getPlanLimits(user.subscription.plan).maxConcurrentRuns,
       balance: balance,
       activePositions: positions.length,
       positions: positions,
@@ -225,15 +518,15 @@ router.get('/status', auth, async (req, res) => {
       userPair: user.trading.tradingPair,
       connected: user.trading.connected,
       exchange: user.trading.exchange,
-      isLiveTrading: exchangeService.isLiveTrading()
+      // Circuit breaker state - "open" means trading is paused after repeated exchange errors
+      exchangeHealth: exchangeService ? exchangeService.getExchangeHealth() : null,
+      isLiveTrading: exchangeService ? exchangeService.isLiveTrading() : false
     });
 
   } catch (error) {
     console.error('Status error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
-    });
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
@@ -242,20 +535,17 @@ router.get('/balance', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
-    if (!user.trading.connected || !user.trading.apiKey) {
+    if (!isExchangeConnected(user)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Exchange not connected' 
+        code: 'EXCHANGE_NOT_CONNECTED',
+        message: 'Exchange not connected',
+        retryable: false 
       });
     }
 
-    // Connect with user's API keys
-    await exchangeService.connect(
-      user.trading.apiKey, 
-      user.trading.apiSecret, 
-      user.trading.exchange,
-      user.trading.passphrase
-    );
+    // Reuse this user's exchange session
+    const exchangeService = await getTradingEngine().getSession(user);
     
     const balance = await exchangeService.getAccountBalance();
     
@@ -268,10 +558,8 @@ router.get('/balance', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Balance error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
-    });
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
@@ -280,22 +568,26 @@ router.get('/positions', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     
-    if (!user.trading.connected || !user.trading.apiKey) {
+    if (!isExchangeConnected(user)) {
       return res.status(400).json({ 
         success: false,
-        message: 'Exchange not connected' 
+        code: 'EXCHANGE_NOT_CONNECTED',
+        message: 'Exchange not connected',
+        retryable: false 
       });
     }
 
-    // Connect with user's API keys
-    await exchangeService.connect(
-      user.trading.apiKey, 
-      user.trading.apiSecret, 
-      user.trading.exchange,
-      user.trading.passphrase
-    );
+    // Reuse this user's exchange session
+    const exchangeService = await getTradingEngine().getSession(user);
     
-    const positions = await exchangeService.getActivePositions();
+    let positions = await exchangeService.getActivePositions();
+
+    // Narrow to one run's position
+    const { runId, symbol } = req.query;
+    if (runId || symbol) {
+      const runSymbol = exchangeService.findStrategy({ runId, symbol }) || symbol;
+      positions = positions.filter(position => sameMarket(position.symbol, runSymbol));
+    }
     
     res.json({
       success: true,
@@ -304,19 +596,21 @@ router.get('/positions', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Positions error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
-    });
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
 // Emergency stop
-router.post('/emergency-stop', auth, async (req, res) => {
+router.post('/emergency-stop', auth, withUserLock(async (req, res) => {
   try {
     console.log('🚨 EMERGENCY STOP requested by user:', req.user.id);
     
-    await exchangeService.emergencyStop();
+    const user = await User.findById(req.user.id);
+    if (isExchangeConnected(user)) {
+      const exchangeService = await getTradingEngine().getSession(user);
+      await exchangeService.emergencyStop();
+    }
 
     // Update user
     await User.findByIdAndUpdate(req.user.id, {
@@ -331,35 +625,114 @@ router.post('/emergency-stop', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Emergency stop error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
+  }
+}));
+
+// Risk limits and circuit breaker state
+router.get('/risk', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      risk: riskManager.getSummary(user)
+    });
+
+  } catch (error) {
+    console.error('Risk status error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
+  }
+});
+
+// Update risk limits (send null to disable a limit)
+router.put('/risk', auth, async (req, res) => {
+  try {
+    const updates = {};
+    ['maxDrawdownPercent', 'maxDailyLoss', 'maxMartingaleLevel', 'flattenOnBreach'].forEach(field => {
+      if (req.body[field] !== undefined) updates[`trading.riskLimits.${field}`] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true, runValidators: true });
+
+    res.json({
+      success: true,
+      message: 'Risk limits updated',
+      risk: riskManager.getSummary(user)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    console.error('Risk limits update error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
+  }
+});
+
+// Lift a risk halt - the drawdown limit restarts from the current equity
+router.post('/risk/reset', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    let equity = null;
+    if (isExchangeConnected(user)) {
+      const exchangeService = await getTradingEngine().getSession(user);
+      equity = await exchangeService.getAccountBalance();
+    }
+
+    await riskManager.reset(req.user.id, equity);
+    const updated = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Risk halt cleared - start trading again when ready',
+      risk: riskManager.getSummary(updated)
     });
+
+  } catch (error) {
+    console.error('Risk reset error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
 // Test order (small amount for testing)
-router.post('/test-order', auth, async (req, res) => {
+router.post('/test-order', auth, idempotency, withUserLock(async (req, res) => {
   try {
     const { pair } = req.body;
     const user = await User.findById(req.user.id);
     
-    if (!user.trading.connected || !user.trading.apiKey) {
+    if (!isExchangeConnected(user)) {
       return res.status(400).json({
         success: false,
-        message: 'Exchange not connected'
+        code: 'EXCHANGE_NOT_CONNECTED',
+        message: 'Exchange not connected',
+        retryable: false
       });
     }
     
-    console.log(`🧪 Placing LIVE test order for ${pair} on ${user.trading.exchange}`);
+    const lookup = await getTradingEngine().lookupPair(user.trading.exchange, pair);
+    if (!lookup.ok) {
+      return res.status(lookup.status).json({
+        success: false,
+        code: lookup.code,
+        message: lookup.message,
+        retryable: lookup.retryable
+      });
+    }
+    const symbol = lookup.pair.exchangeSymbol;
+
+    console.log(`🧪 Placing LIVE test order for ${symbol} on ${user.trading.exchange}`);
     
-    // Connect with user's API keys
-    await exchangeService.connect(
-      user.trading.apiKey, 
-      user.trading.apiSecret, 
-      user.trading.exchange,
-      user.trading.passphrase
-    );
+    // Reuse this user's exchange session
+    const exchangeService = await getTradingEngine().getSession(user);
     
     // Place tiny test order (0.01% of balance)
     const balance = await exchangeService.getAccountBalance();
@@ -372,26 +745,138 @@ router.post('/test-order', auth, async (req, res) => {
       });
     }
 
-    const order = await exchangeService.exchange.createMarketOrder(
-      pair,
-      'buy',
-      testAmount
-    );
+    // testAmount is a USD value - convert it into contracts (no leverage)
+    await exchangeService.request('loadMarkets', () => marketData.loadMarkets(exchangeService.exchange));
+    const price = await exchangeService.getMarketPrice(symbol);
+    const sizing = sizeOrder(exchangeService.exchange, symbol, { margin: testAmount, leverage: 1, price });
+    if (!sizing.valid) {
+      return res.status(400).json({
+        success: false,
+        message: sizing.reason
+      });
+    }
+
+    // A retried request may already have its order on the exchange (keys live for a day)
+    const clientOrderId = testOrderClientId(req);
+    const since = Date.now() - 24 * 60 * 60 * 1000;
+    let order = req.idempotencyKey
+      ? await exchangeService.findOrderByClientId(symbol, clientOrderId, since)
+      : null;
+
+    if (!order) {
+      try {
+        order = await exchangeService.request('createOrder', () => exchangeService.exchange.createMarketOrder(
+          symbol,
+          'buy',
+          sizing.amount,
+          undefined,
+          { clientOrderId }
+        ), { retryOn: ORDER_RETRY_CODES });
+      } catch (error) {
+        if (!isOrderOutcomeUnknown(error)) throw error;
+
+        // The order may have gone through - look for it before answering
+        order = await exchangeService.findOrderByClientId(symbol, clientOrderId, since);
+        if (!order) {
+          throw new ExchangeApiError(
+            'ORDER_STATUS_UNKNOWN',
+            `Test order ${clientOrderId} may not have reached the exchange (${toExchangeError(error).message}). A retry with the same Idempotency-Key looks it up before sending anything.`,
+            { status: 502, cause: error }
+          );
+        }
+      }
+    }
 
     res.json({
       success: true,
       orderId: order.id,
-      amount: testAmount,
+      clientOrderId,
+      amount: sizing.amount,
+      notional: sizing.notional,
       exchange: user.trading.exchange,
       message: `LIVE test order placed successfully on ${user.trading.exchange.toUpperCase()}`
     });
 
   } catch (error) {
     console.error('Test order error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: error.message 
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
+  }
+}));
+
+// Backtest a strategy against uploaded OHLCV data (CSV text, JSON text or an array)
+router.post('/backtest', auth, express.json({ limit: BACKTEST_BODY_LIMIT }), async (req, res) => {
+  try {
+    const { strategy = 'steady_climb', direction = 'long', candles, format, symbol = 'BTC/USDT', initialBalance = 10000 } = req.body;
+
+    if (!candles) {
+      return res.status(400).json({
+        success: false,
+        message: 'OHLCV candles are required (CSV, JSON or array)'
+      });
+    }
+
+    const strategyConfig = await Strategy.resolveForUser(strategy, req.user.id);
+    if (!strategyConfig) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy. Use steady_climb, power_surge or one of your saved strategies'
+      });
+    }
+
+    if (!['long', 'short', 'auto'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid direction. Use long, short or auto'
+      });
+    }
+
+    const balance = parseFloat(initialBalance);
+    if (!(balance > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Initial balance must be a positive number'
+      });
+    }
+
+    let parsedCandles;
+    try {
+      parsedCandles = parseCandles(candles, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not parse candles: ${error.message}`
+      });
+    }
+
+    // Keep a single request from tying up the server
+    if (parsedCandles.length < 2 || parsedCandles.length > MAX_BACKTEST_CANDLES) {
+      return res.status(400).json({
+        success: false,
+        message: `Between 2 and ${MAX_BACKTEST_CANDLES} valid candles are required`
+      });
+    }
+
+    console.log(`🧪 Backtest requested by user ${req.user.id}: ${strategyConfig.name} on ${symbol} (${parsedCandles.length} candles)`);
+
+    const backtester = new Backtester();
+    const report = await backtester.run({
+      candles: parsedCandles,
+      strategy: strategyConfig,
+      direction,
+      symbol,
+      initialBalance: balance
     });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Backtest error:', error);
+    const { status, body } = exchangeErrorResponse(error);
+    res.status(status).json(body);
   }
 });
 
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Usage: node scripts/backtest.js --file candles.csv [--strategy steady_climb] [--direction long|short|auto] [--symbol BTC/USDT] [--balance 10000] [--json]
+// --strategy takes a built-in key or a path to a JSON ladder definition
+const fs = require('fs');
+const path = require('path');
+const Backtester = require('../services/Backtester');
+const { loadCandleFile } = require('../utils/candles');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.log('Usage: node scripts/backtest.js --file <candles.csv|json> [--strategy steady_climb|power_surge] [--symbol BTC/USDT] [--balance 10000] [--json]');
+    process.exit(1);
+  }
+
+  const candles = loadCandleFile(path.resolve(args.file));
+  const backtester = new Backtester({
+    feeRate: args.fee !== undefined ? parseFloat(args.fee) : undefined
+  });
+
+  // Custom ladders can be tried from a JSON file before saving them
+  let strategy = args.strategy || 'steady_climb';
+  if (strategy.endsWith('.json')) {
+    strategy = { id: path.basename(strategy, '.json'), ...JSON.parse(fs.readFileSync(path.resolve(strategy), 'utf8')) };
+  }
+
+  const report = await backtester.run({
+    candles,
+    strategy,
+    direction: args.direction || 'long',
+    symbol: args.symbol || 'BTC/USDT',
+    initialBalance: parseFloat(args.balance) || 10000
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`\n📊 Backtest: ${report.strategyName} on ${report.symbol}`);
+  console.log(`   Period: ${report.period.start} → ${report.period.end} (${report.period.candles} candles)`);
+  console.log(`   Balance: $${report.initialBalance.toFixed(2)} → $${report.finalEquity.toFixed(2)} (${report.totalReturnPercent}%)`);
+  console.log(`   Max drawdown: ${report.maxDrawdownPercent}%`);
+  console.log(`   Max level reached: ${report.maxLevelReached}/${report.settings.maxLevels}`);
+  console.log(`   Direction: ${report.settings.direction} (${report.cycles.long} long / ${report.cycles.short} short cycles)`);
+  console.log(`   Cycles: ${report.cycles.started} started, ${report.cycles.wins} won, ${report.cycles.losses} lost (win rate ${report.cycles.winRate ?? 'n/a'}%)`);
+  console.log(`   Liquidations: ${report.liquidations.length}`);
+  report.liquidations.forEach(event => {
+    console.log(`     💥 ${event.timestamp} level ${event.level} @ ${event.liquidationPrice.toFixed(4)} (-$${event.loss})`);
+  });
+  console.log(`   Fees paid: $${report.totalFees.toFixed(2)}`);
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
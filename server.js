@@ -1,25 +1,56 @@
 
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
 
 const app = express();
+const server = http.createServer(app);
 
-// Basic middleware
-app.use(cors({
+const corsOptions = {
   origin: ['https://www.voltexprofits.com', 'https://voltexprofits.com', 'http://localhost:3000'],
   credentials: true
-}));
-app.use(express.json());
+};
+
+// Basic middleware
+app.use(cors(corsOptions));
+// The backtest route parses its candle uploads itself, with a larger limit and only
+// after authentication - everything else gets the default
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'POST' && req.path === '/api/trading/backtest') return next();
+  jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
+// One trading engine for the whole process, shared with the routes through the registry
+const registry = require('./services/registry');
+const TradingEngine = require('./services/TradingEngine');
+const { sessionManager } = require('./services/ExchangeSessionManager');
+const tradingEngine = registry.register('tradingEngine', new TradingEngine(sessionManager));
+
+// Live order/position/balance events over Socket.IO, authenticated with the API's JWT
+const { realtime } = require('./services/RealtimeService');
+realtime.attach(server, { cors: corsOptions });
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/voltex-profits', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 }).then(() => {
   console.log('✅ Database connected successfully');
+
+  // Built-in ladders are stored as read-only templates
+  const Strategy = require('./models/Strategy');
+  Strategy.seedTemplates().catch((err) => {
+    console.log('⚠️ Strategy template seeding failed:', err.message);
+  });
+
+  // Resumes persisted strategy runs and starts the scheduled jobs
+  return tradingEngine.start().catch((err) => {
+    console.log('⚠️ Trading engine failed to start:', err.message);
+  });
 }).catch((err) => {
   console.log('⚠️ Database connection failed:', err.message);
 });
@@ -36,6 +67,14 @@ try {
   });
 }
 
+try {
+  const strategyRoutes = require('./routes/strategies');
+  app.use('/api/trading/strategies', strategyRoutes);
+  console.log('✅ Strategy routes loaded');
+} catch (error) {
+  console.log('❌ Strategy routes not found:', error.message);
+}
+
 try {
   const tradingRoutes = require('./routes/trading');
   app.use('/api/trading', tradingRoutes);
@@ -93,6 +132,14 @@ app.get('/api/test', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser rejections (oversized or malformed JSON) are the client's
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.status === 413 ? 'Request body is too large' : 'Invalid request body'
+    });
+  }
+
   console.error('❌ Server error:', err);
   res.status(500).json({ 
     success: false, 
@@ -112,12 +159,11 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚀 Voltex Profits server running on port ${PORT}`);
   console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('💰 Features: Live Martingale Trading with OKX/Bybit/Binance/Bitget');
   console.log('🔴 LIVE TRADING MODE - Ready for real money!');
 });
 
-// Note: TradingBot removed - using ExchangeService instead
 console.log('🎯 Server initialized - Ready for live trading connections!');
\ No newline at end of file
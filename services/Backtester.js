@@ -0,0 +1,306 @@
+const ExchangeService = require('./ExchangeService');
+const PaperExchange = require('./PaperExchange');
+const { CandlePriceSource } = require('./PriceSources');
+const TrendFilter = require('./TrendFilter');
+const { evaluateRules, requiredCandles } = require('./EntryFilter');
+const ProtectiveOrders = require('./ProtectiveOrders');
+const { sizeOrder } = require('../utils/orderSizing');
+const { DEFAULT_MAINTENANCE_MARGIN_RATE } = require('../utils/ladder');
+
+const MAX_EQUITY_POINTS = 1000;
+const YIELD_EVERY_CANDLES = 500;
+
+// Replays OHLCV candles through the martingale ladder on a paper account.
+// Entries and take-profit are evaluated on candle closes (as the live engine does when
+// polling). Level steps, the exchange-side stop loss and liquidations use the candle's
+// wick: the engine polls far more often than a candle, so a wick through the next
+// level's trigger adds that level before the stop beyond it is reached. A stop ends the
+// backtest, as it stops a live run.
+class Backtester {
+  constructor(options = {}) {
+    // Only used for the strategy definitions and position sizing - never connects
+    this.exchangeService = new ExchangeService();
+    this.feeRate = options.feeRate ?? 0.0006;
+    this.maintenanceMarginRate = options.maintenanceMarginRate ?? DEFAULT_MAINTENANCE_MARGIN_RATE;
+    this.trendFilter = new TrendFilter(options.trend);
+  }
+
+  async run({ candles, strategy, direction = 'long', symbol = 'BTC/USDT', initialBalance = 10000 }) {
+    // Built-in key or a ladder config (e.g. from Strategy#toConfig)
+    const config = this.exchangeService.getStrategyConfig(strategy);
+    if (!candles || candles.length < 2) {
+      throw new Error('At least two candles are required for a backtest');
+    }
+
+    const priceSource = new CandlePriceSource(candles, { symbol });
+    const exchange = new PaperExchange({
+      priceSource,
+      initialBalance,
+      feeRate: this.feeRate,
+      maintenanceMarginRate: this.maintenanceMarginRate,
+      symbols: [symbol],
+      silent: true
+    });
+    await exchange.setLeverage(config.leverage, symbol);
+
+    const stats = {
+      cycles: 0,
+      longCycles: 0,
+      shortCycles: 0,
+      wins: 0,
+      losses: 0,
+      maxLevelReached: 0,
+      levelCounts: {},
+      unfundedLevels: 0,
+      liquidations: [],
+      stopLoss: null,
+      equityCurve: [],
+      peakEquity: initialBalance,
+      maxDrawdownPercent: 0,
+      totalFees: 0,
+      skippedEntries: 0
+    };
+
+    const sampleEvery = Math.max(1, Math.ceil(candles.length / MAX_EQUITY_POINTS));
+    let cycle = null; // { side, level, lastEntryPrice, stopLossPrice }
+
+    for (let i = 0; i < candles.length; i++) {
+      if (i > 0) priceSource.advance();
+      const candle = priceSource.getCandle(symbol);
+
+      // Levels the wick triggered are added first; a wick through the stop then closes the
+      // position at the stop, unless the liquidation price sits in front of it
+      if (cycle) {
+        cycle = await this.escalateThroughWick(exchange, config, symbol, cycle, candle, stats);
+        const stop = await this.checkStopLoss(exchange, symbol, cycle, candle);
+        if (stop) {
+          stats.stopLoss = stop;
+          stats.totalFees += stop.fee;
+          stats.losses++;
+          cycle = null;
+        }
+      }
+
+      // Wick through the liquidation price ends the cycle as a loss
+      const liquidationsBefore = exchange.liquidations.length;
+      await exchange.checkLiquidations();
+      if (exchange.liquidations.length > liquidationsBefore) {
+        const event = exchange.liquidations[exchange.liquidations.length - 1];
+        stats.liquidations.push({ ...event, level: cycle ? cycle.level : null });
+        stats.losses++;
+        cycle = null;
+      }
+
+      const position = (await exchange.fetchPositions([symbol]))[0];
+
+      if (!cycle && !stats.stopLoss) {
+        const side = this.resolveSide(direction, candles, i);
+        if (!this.entryAllowed(config, priceSource, side)) {
+          stats.skippedEntries++;
+        } else {
+          cycle = await this.openLevel(exchange, config, symbol, side, 1, candle.close, stats);
+        }
+        if (cycle) {
+          stats.cycles++;
+          if (side === 'buy') stats.longCycles++;
+          else stats.shortCycles++;
+        }
+      } else if (cycle && position) {
+        const sign = cycle.side === 'buy' ? 1 : -1;
+        const profitPercent = ((candle.close - position.entryPrice) / position.entryPrice) * 100 * sign;
+        const adversePercent = ((cycle.lastEntryPrice - candle.close) / cycle.lastEntryPrice) * 100 * sign;
+
+        if (profitPercent >= config.takeProfitPercent) {
+          const closeSide = cycle.side === 'buy' ? 'sell' : 'buy';
+          const order = await exchange.createMarketOrder(symbol, closeSide, position.contracts, undefined, { reduceOnly: true });
+          stats.totalFees += order.fee.cost;
+          stats.wins++;
+          cycle = null;
+        } else if (adversePercent >= config.levelStepPercent && cycle.level < config.maxLevels) {
+          const next = await this.openLevel(exchange, config, symbol, cycle.side, cycle.level + 1, candle.close, stats);
+          if (next) cycle = next;
+        }
+      }
+
+      const equity = (await exchange.fetchBalance()).USDT.total;
+      this.trackEquity(stats, equity);
+      if (i % sampleEvery === 0 || i === candles.length - 1) {
+        stats.equityCurve.push({ timestamp: candle.timestamp, equity: Number(equity.toFixed(2)) });
+      }
+
+      // Stopped out, or the account can no longer fund a first level - nothing more to simulate
+      if (stats.stopLoss || (!cycle && equity <= 0)) break;
+
+      // The paper exchange resolves synchronously; let live ticks and requests through
+      if (i % YIELD_EVERY_CANDLES === YIELD_EVERY_CANDLES - 1) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    return this.buildReport({ strategy, config, direction, symbol, candles, initialBalance, exchange, stats });
+  }
+
+  // Strategy entry conditions on the candles seen so far. They're evaluated on the
+  // backtest's own candle interval, whatever timeframe the rules name.
+  entryAllowed(config, priceSource, side) {
+    const rules = config.entryConditions?.rules;
+    if (!rules || rules.length === 0) return true;
+
+    return evaluateRules(rules, priceSource.getHistory(requiredCandles(rules)), side).allowed;
+  }
+
+  // Side for a new cycle; "auto" uses the trend filter on the candles seen so far
+  resolveSide(direction, candles, index) {
+    if (direction === 'short') return 'sell';
+    if (direction !== 'auto') return 'buy';
+
+    const start = Math.max(0, index + 1 - (this.trendFilter.slowPeriod + 50));
+    const closes = candles.slice(start, index + 1).map(candle => candle.close);
+    return this.trendFilter.directionFromCloses(closes) === 'short' ? 'sell' : 'buy';
+  }
+
+  // Place one ladder level at `price`, sized exactly like the live engine (margin x leverage).
+  // Works on the raw account so no liquidation check runs against the rest of the candle.
+  async openLevel(exchange, config, symbol, side, level, price, stats) {
+    const open = exchange.positions.get(symbol);
+    const balance = exchange.walletBalance + (open ? exchange.getUnrealizedPnl(open, price) : 0);
+    const margin = this.exchangeService.calculatePositionSize(balance, level, config);
+    const sizing = sizeOrder(exchange, symbol, { margin, leverage: config.leverage, price });
+    if (!sizing.valid) {
+      stats.unfundedLevels++;
+      return null;
+    }
+
+    try {
+      const order = await exchange.fillMarketOrder(symbol, 'market', side, sizing.amount, price);
+      stats.totalFees += order.fee.cost;
+      stats.levelCounts[level] = (stats.levelCounts[level] || 0) + 1;
+      stats.maxLevelReached = Math.max(stats.maxLevelReached, level);
+
+      // The live engine moves its exchange-side stop to this price after every level
+      const position = exchange.positions.get(symbol);
+      const { stopLossPrice } = new ProtectiveOrders(exchange).calculatePrices({
+        side,
+        averageEntry: position.entryPrice,
+        lastEntryPrice: order.average,
+        config
+      });
+      return { side, level, lastEntryPrice: order.average, stopLossPrice };
+    } catch (error) {
+      stats.unfundedLevels++;
+      return null;
+    }
+  }
+
+  // Add every level whose trigger the candle's wick crossed, each filled at its trigger. Stops
+  // at the end of the ladder, at a level that can't be funded, or where the position would be
+  // liquidated before reaching the trigger - the cases in which live trading stops too.
+  async escalateThroughWick(exchange, config, symbol, cycle, candle, stats) {
+    const sign = cycle.side === 'buy' ? 1 : -1;
+    const worstPrice = sign > 0 ? candle.low : candle.high;
+
+    while (cycle.level < config.maxLevels) {
+      const position = exchange.positions.get(symbol);
+      const triggerPrice = cycle.lastEntryPrice * (1 - sign * config.levelStepPercent / 100);
+      if (!position || sign * (worstPrice - triggerPrice) > 0) break;
+      if (sign * (exchange.getLiquidationPrice(position) - triggerPrice) >= 0) break;
+
+      const next = await this.openLevel(exchange, config, symbol, cycle.side, cycle.level + 1, triggerPrice, stats);
+      if (!next) break;
+      cycle = next;
+    }
+    return cycle;
+  }
+
+  // Fill the stop at its trigger price when the candle reached it before the liquidation price.
+  // Reads the raw position: fetchPositions would run the liquidation check first.
+  async checkStopLoss(exchange, symbol, cycle, candle) {
+    const position = exchange.positions.get(symbol);
+    if (!position) return null;
+
+    const sign = cycle.side === 'buy' ? 1 : -1;
+    const worstPrice = sign > 0 ? candle.low : candle.high;
+    if (sign * (worstPrice - cycle.stopLossPrice) > 0) return null;
+    if (sign * (exchange.getLiquidationPrice(position) - cycle.stopLossPrice) >= 0) return null;
+
+    const closeSide = cycle.side === 'buy' ? 'sell' : 'buy';
+    const order = await exchange.fillMarketOrder(symbol, 'market', closeSide, position.contracts, cycle.stopLossPrice, { reduceOnly: true });
+    return {
+      timestamp: candle.timestamp,
+      level: cycle.level,
+      entryPrice: position.entryPrice,
+      stopLossPrice: cycle.stopLossPrice,
+      loss: -order.info.realizedPnl,
+      fee: order.fee.cost
+    };
+  }
+
+  trackEquity(stats, equity) {
+    stats.peakEquity = Math.max(stats.peakEquity, equity);
+    const drawdown = stats.peakEquity > 0 ? ((stats.peakEquity - equity) / stats.peakEquity) * 100 : 0;
+    stats.maxDrawdownPercent = Math.max(stats.maxDrawdownPercent, drawdown);
+  }
+
+  async buildReport({ strategy, config, direction, symbol, candles, initialBalance, exchange, stats }) {
+    const finalEquity = (await exchange.fetchBalance()).USDT.total;
+    const closedCycles = stats.wins + stats.losses;
+
+    return {
+      strategy: this.exchangeService.getStrategyId(strategy),
+      strategyName: config.name,
+      symbol,
+      period: {
+        start: new Date(candles[0].timestamp).toISOString(),
+        end: new Date(candles[candles.length - 1].timestamp).toISOString(),
+        candles: candles.length
+      },
+      settings: {
+        direction,
+        leverage: config.leverage,
+        maxLevels: config.maxLevels,
+        takeProfitPercent: config.takeProfitPercent,
+        levelStepPercent: config.levelStepPercent,
+        stopLossPercent: config.stopLossPercent ?? 0.5,
+        entryConditions: config.entryConditions || null,
+        feeRate: this.feeRate,
+        maintenanceMarginRate: this.maintenanceMarginRate
+      },
+      initialBalance,
+      finalEquity: Number(finalEquity.toFixed(2)),
+      totalReturnPercent: Number((((finalEquity - initialBalance) / initialBalance) * 100).toFixed(2)),
+      maxDrawdownPercent: Number(stats.maxDrawdownPercent.toFixed(2)),
+      maxLevelReached: stats.maxLevelReached,
+      levelDistribution: stats.levelCounts,
+      cycles: {
+        started: stats.cycles,
+        long: stats.longCycles,
+        short: stats.shortCycles,
+        wins: stats.wins,
+        losses: stats.losses,
+        open: stats.cycles - closedCycles,
+        winRate: closedCycles > 0 ? Number(((stats.wins / closedCycles) * 100).toFixed(2)) : null
+      },
+      liquidations: stats.liquidations.map(event => ({
+        timestamp: new Date(event.timestamp).toISOString(),
+        level: event.level,
+        entryPrice: event.entryPrice,
+        liquidationPrice: event.liquidationPrice,
+        loss: Number(event.loss.toFixed(2))
+      })),
+      // Where the run stopped early on its stop loss, if it did
+      stopLoss: stats.stopLoss && {
+        timestamp: new Date(stats.stopLoss.timestamp).toISOString(),
+        level: stats.stopLoss.level,
+        entryPrice: stats.stopLoss.entryPrice,
+        stopLossPrice: stats.stopLoss.stopLossPrice,
+        loss: Number(stats.stopLoss.loss.toFixed(2))
+      },
+      unfundedLevels: stats.unfundedLevels,
+      skippedEntries: stats.skippedEntries,
+      totalFees: Number(stats.totalFees.toFixed(2)),
+      equityCurve: stats.equityCurve
+    };
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,116 @@
+const { ema, sma, rsi, atr, bollinger, last } = require('../utils/indicators');
+const { marketData } = require('./MarketDataService');
+const { INDICATORS } = require('../utils/entryConditions');
+
+// Indicator gate for level-1 entries: a strategy's entryConditions (see utils/entryConditions)
+// checked against the symbol's candles.
+
+// Latest value of one operand, or null when there aren't enough candles yet
+function indicatorValue(operand, candles, closes) {
+  const period = operand.period ?? INDICATORS[operand.indicator].defaultPeriod;
+  const price = closes[closes.length - 1];
+
+  switch (operand.indicator) {
+    case 'price':
+      return price ?? null;
+    case 'ema':
+      return last(ema(closes, period));
+    case 'sma':
+      return last(sma(closes, period));
+    case 'rsi':
+      return last(rsi(closes, period));
+    case 'atr':
+      return last(atr(candles, period));
+    case 'atr_percent': {
+      const value = last(atr(candles, period));
+      return value === null || !price ? null : (value / price) * 100;
+    }
+    case 'bollinger_upper':
+    case 'bollinger_middle':
+    case 'bollinger_lower': {
+      const band = operand.indicator.replace('bollinger_', '');
+      return last(bollinger(closes, period, operand.multiplier ?? 2)[band]);
+    }
+    default:
+      return null;
+  }
+}
+
+function describeOperand(operand) {
+  if (operand.indicator === 'price') return 'price';
+  const period = operand.period ?? INDICATORS[operand.indicator].defaultPeriod;
+  return `${operand.indicator.toUpperCase()}(${period})`;
+}
+
+const round = (value) => Number(value.toPrecision(6));
+
+// Check rules against candles (oldest first). side is the cycle's order side (buy/sell).
+function evaluateRules(rules, candles, side) {
+  const closes = candles.map(candle => candle[4]);
+  const positionSide = side === 'sell' ? 'short' : 'long';
+  const values = {};
+  const reasons = [];
+  const failed = []; // Rule labels without the live values, e.g. "RSI(14) below 35"
+
+  for (const rule of rules) {
+    if (rule.side && rule.side !== positionSide) continue;
+
+    const left = indicatorValue(rule, candles, closes);
+    const right = rule.compareTo ? indicatorValue(rule.compareTo, candles, closes) : rule.value;
+    const leftLabel = describeOperand(rule);
+    const rightLabel = rule.compareTo ? describeOperand(rule.compareTo) : String(rule.value);
+
+    const ruleLabel = `${leftLabel} ${rule.operator} ${rightLabel}`;
+    if (left === null || right === null) {
+      reasons.push(`not enough candles for ${ruleLabel}`);
+      failed.push(ruleLabel);
+      continue;
+    }
+
+    values[leftLabel] = round(left);
+    if (rule.compareTo) values[rightLabel] = round(right);
+
+    const passed = rule.operator === 'above' ? left > right : left < right;
+    if (!passed) {
+      failed.push(ruleLabel);
+      reasons.push(`${leftLabel} ${round(left)} is not ${rule.operator} ${rightLabel}${rule.compareTo ? ` ${round(right)}` : ''}`);
+    }
+  }
+
+  return { allowed: reasons.length === 0, reasons, failed, values };
+}
+
+// Candles needed for the slowest indicator to settle
+function requiredCandles(rules) {
+  const periods = rules.flatMap(rule => [rule, rule.compareTo].filter(Boolean))
+    .map(operand => operand.period ?? INDICATORS[operand.indicator]?.defaultPeriod ?? 0);
+  return Math.min(1000, Math.max(0, ...periods) + 100);
+}
+
+class EntryFilter {
+  // { allowed, reasons, failed, values } for the strategy's entry conditions on this symbol
+  async check(exchange, symbol, conditions, side) {
+    if (!conditions || !conditions.rules || conditions.rules.length === 0) {
+      return { allowed: true, reasons: [], failed: [], values: {} };
+    }
+
+    const timeframe = conditions.timeframe || '1h';
+    try {
+      const candles = await marketData.getCandles(exchange, symbol, timeframe, requiredCandles(conditions.rules));
+      return { timeframe, ...evaluateRules(conditions.rules, candles, side) };
+    } catch (error) {
+      // Without data we can't prove the conditions hold - don't enter
+      return {
+        timeframe,
+        allowed: false,
+        reasons: [`could not load ${timeframe} candles: ${error.message}`],
+        failed: ['candles unavailable'],
+        values: {}
+      };
+    }
+  }
+}
+
+module.exports = EntryFilter;
+module.exports.evaluateRules = evaluateRules;
+module.exports.requiredCandles = requiredCandles;
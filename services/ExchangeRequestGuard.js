@@ -0,0 +1,168 @@
+const { ExchangeApiError, toExchangeError, isCredentialError } = require('../utils/exchangeErrors');
+
+const RETRY_ATTEMPTS = 3; // Including the first try
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 5000;
+const BUCKET_CAPACITY = 10; // Burst size
+const BUCKET_REFILL_PER_SECOND = 5; // Sustained calls per second, well inside every exchange's limit
+const BREAKER_THRESHOLD = 5; // Consecutive failures before the account is paused
+const BREAKER_COOLDOWN = 60 * 1000;
+
+// A rate-limited request was turned away before the exchange looked at it, so even an
+// order can be sent again. Anything else on an order (a timeout, a dropped connection)
+// may have been executed - the caller has to check before trying again.
+const ORDER_RETRY_CODES = ['EXCHANGE_RATE_LIMITED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TokenBucket {
+  constructor({ capacity = BUCKET_CAPACITY, refillPerSecond = BUCKET_REFILL_PER_SECOND } = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.refilledAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) / 1000 * this.refillPerSecond);
+    this.refilledAt = now;
+  }
+
+  // Wait until a token is free, then spend it
+  async take() {
+    this.refill();
+    while (this.tokens < 1) {
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+}
+
+// closed: calls go through. open: calls fail fast until the cooldown ends.
+// half_open: one trial call decides whether to close again or re-open.
+class CircuitBreaker {
+  constructor({ threshold = BREAKER_THRESHOLD, cooldownMs = BREAKER_COOLDOWN } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    return this.state !== 'open';
+  }
+
+  isOpen() {
+    return !this.canRequest();
+  }
+
+  // Returns 'closed' when this success ended a pause
+  recordSuccess() {
+    const wasPaused = this.state !== 'closed';
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    return wasPaused ? 'closed' : null;
+  }
+
+  // Returns 'opened' when this failure paused the account
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      const wasOpen = this.state === 'open';
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return wasOpen ? null : 'opened';
+    }
+    return null;
+  }
+
+  getSummary() {
+    this.canRequest();
+    return {
+      state: this.state,
+      failures: this.failures,
+      pausedUntil: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Every call an ExchangeService makes to its exchange account goes through one of these:
+// a token bucket keeps the account under its rate limit, retryable failures are retried
+// with exponential backoff, and a run of failures opens the circuit breaker, which pauses
+// the account's trading until the exchange recovers.
+class ExchangeRequestGuard {
+  constructor(options = {}) {
+    this.label = options.label || 'exchange';
+    this.bucket = new TokenBucket(options.bucket);
+    this.breaker = new CircuitBreaker(options.breaker);
+    this.onStateChange = options.onStateChange || (() => {});
+  }
+
+  isPaused() {
+    return this.breaker.isOpen();
+  }
+
+  getSummary() {
+    return this.breaker.getSummary();
+  }
+
+  // Run `fn` (one exchange request). retryOn limits retries to specific error codes;
+  // by default any retryable error is retried.
+  async call(name, fn, { retryOn = null, attempts = RETRY_ATTEMPTS } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      if (!this.breaker.canRequest()) {
+        const { pausedUntil, lastError } = this.breaker.getSummary();
+        throw new ExchangeApiError(
+          'EXCHANGE_CIRCUIT_OPEN',
+          `Trading is paused after repeated exchange errors (${lastError}). Retrying after ${pausedUntil.toISOString()}.`,
+          { status: 503, retryable: true }
+        );
+      }
+
+      await this.bucket.take();
+
+      try {
+        const result = await fn();
+        if (this.breaker.recordSuccess() === 'closed') {
+          console.log(`✅ ${this.label}: exchange calls recovered - trading resumed`);
+          this.onStateChange('closed', this.breaker.getSummary());
+        }
+        return result;
+      } catch (error) {
+        const failure = toExchangeError(error);
+        const retry = retryOn ? retryOn.includes(failure.code) : failure.retryable;
+
+        if (retry && attempt < attempts) {
+          const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+          console.log(`🔁 ${this.label}: ${name} failed (${failure.code}), retry ${attempt}/${attempts - 1} in ${Math.round(delay)}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        // Rejected orders and bad parameters say nothing about the exchange's health
+        if (failure.retryable || isCredentialError(failure)) {
+          if (this.breaker.recordFailure(failure) === 'opened') {
+            console.error(`⛔ ${this.label}: ${this.breaker.failures} exchange failures in a row - pausing trading for ${this.breaker.cooldownMs / 1000}s`);
+            this.onStateChange('open', this.breaker.getSummary());
+          }
+        }
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = ExchangeRequestGuard;
+module.exports.TokenBucket = TokenBucket;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.ORDER_RETRY_CODES = ORDER_RETRY_CODES;
@@ -1,32 +1,69 @@
 
 const ccxt = require('ccxt');
+const mongoose = require('mongoose');
+const StrategyRun = require('../models/StrategyRun');
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const PaperExchange = require('./PaperExchange');
+const { createDefaultPriceSource } = require('./PriceSources');
+const TrendFilter = require('./TrendFilter');
+const EntryFilter = require('./EntryFilter');
+const { sameMarket, toDisplaySymbol } = require('./PairCatalog');
+const ProtectiveOrders = require('./ProtectiveOrders');
+const ExchangeRequestGuard = require('./ExchangeRequestGuard');
+const { ORDER_RETRY_CODES } = require('./ExchangeRequestGuard');
+const { riskManager, RiskLimitError } = require('./RiskManager');
+const { lockService, LockBusyError } = require('./LockService');
+const { realtime } = require('./RealtimeService');
+const { marketData } = require('./MarketDataService');
+const pnl = require('../utils/pnl');
+const { sizeOrder } = require('../utils/orderSizing');
+const { positionSize, projectLadder, assessLadder } = require('../utils/ladder');
+const { ExchangeApiError, toExchangeError, isOrderOutcomeUnknown } = require('../utils/exchangeErrors');
+const { BUILT_IN_STRATEGIES } = require('../config/strategies');
+
+const DIRECTIONS = ['long', 'short', 'auto'];
+// How long an order whose result never came back blocks the next attempt at its level
+const UNCONFIRMED_ORDER_GRACE = 2 * 60 * 1000;
+// Pre-trade ladder check refusals (see checkLadderRisk)
+const LADDER_RISK_CODES = ['LADDER_UNFUNDED', 'LIQUIDATION_BEFORE_NEXT_LEVEL'];
+
+// Deterministic client order id for a run's order: run + cycle + level + attempt, e.g.
+// "vx0a1b2c3d4e5f6g7h8i9c2l4a1". Alphanumeric and at most 32 characters, which every
+// supported exchange accepts (OKX's clOrdId is the strictest).
+function buildClientOrderId(runId, cycle, level, attempt) {
+  const run = BigInt(`0x${runId}`).toString(36).padStart(19, '0');
+  return `vx${run}c${cycle.toString(36)}l${level.toString(36)}a${attempt.toString(36)}`;
+}
+
+function isLadderRiskError(error) {
+  return error instanceof RiskLimitError && LADDER_RISK_CODES.includes(error.code);
+}
 
 class ExchangeService {
-  constructor() {
+  constructor(options = {}) {
+    this.userId = options.userId || null; // Owner of this session - enables run persistence
     this.exchange = null;
     this.isConnected = false;
     this.tradingActive = false;
     this.activeStrategies = new Map();
-    
-    // Your exact Martingale strategies
-    this.STRATEGIES = {
-      steady_climb: {
-        name: "Steady Climb",
-        capitalBase: 0.001, // 0.1% of balance (0.1% = 0.001 as decimal)
-        leverage: 25,
-        martingaleMultipliers: [0.25, 0.27, 0.36, 0.47, 0.63, 0.83, 1.08, 1.43, 1.88, 2.47, 3.25, 4.30, 5.68, 7.51, 9.93],
-        maxLevels: 15,
-        type: "conservative"
-      },
-      power_surge: {
-        name: "Power Surge",
-        capitalBase: 0.001, // 0.1% of balance (0.1% = 0.001 as decimal)
-        leverage: 25,
-        martingaleMultipliers: [0.40, 0.54, 0.72, 0.94, 1.26, 1.66, 2.16, 2.86, 3.76, 4.94, 6.50, 8.60, 11.36, 15.02, 19.86],
-        maxLevels: 15,
-        type: "aggressive"
+    this.monitorTimer = null;
+    this.lastPublishedBalance = null;
+    this.balanceCache = null; // { total, free, fetchedAt } - see getBalances
+    this.positionsCache = null; // { value, fetchedAt } - see getActivePositions
+    this.orderAttempts = new Map(); // Attempt counters for sessions without a Trade log
+    // Rate limit, retries and circuit breaker for this account's exchange calls
+    this.guard = new ExchangeRequestGuard({
+      label: this.userId ? `user ${this.userId}` : 'exchange',
+      onStateChange: (state, summary) => {
+        this.publish(state === 'open' ? 'trading:paused' : 'trading:resumed', summary);
       }
-    };
+    });
+    this.trendFilter = new TrendFilter();
+    this.entryFilter = new EntryFilter();
+    
+    // Built-in Martingale strategies (user ladders are passed in as config objects)
+    this.STRATEGIES = BUILT_IN_STRATEGIES;
   }
 
   async connect(apiKey, apiSecret, exchangeName = 'bybit', passphrase = null) {
@@ -84,13 +121,21 @@ class ExchangeService {
           });
           break;
 
+        case 'paper':
+          // Virtual account - no API keys, no real money
+          this.exchange = new PaperExchange({
+            priceSource: createDefaultPriceSource(),
+            initialBalance: parseFloat(process.env.PAPER_INITIAL_BALANCE) || 10000
+          });
+          break;
+
         default:
-          throw new Error(`Unsupported exchange: ${exchangeName}`);
+          throw new ExchangeApiError('UNSUPPORTED_EXCHANGE', `Unsupported exchange: ${exchangeName}`, { status: 400 });
       }
 
       // Test connection by fetching account balance
       console.log('🧪 Testing connection...');
-      const balance = await this.exchange.fetchBalance();
+      const balance = await this.request('fetchBalance', () => this.exchange.fetchBalance());
       
       if (!balance) {
         throw new Error('Failed to fetch account balance');
@@ -110,125 +155,559 @@ class ExchangeService {
     } catch (error) {
       console.error(`❌ Exchange connection error:`, error);
       this.isConnected = false;
-      
-      // Provide user-friendly error messages
-      let message = error.message;
-      if (message.includes('Invalid API') || message.includes('Invalid key')) {
-        message = 'Invalid API credentials. Please check your API key and secret.';
-      } else if (message.includes('IP') || message.includes('not in whitelist')) {
-        message = 'IP address not whitelisted. Please add your server IP to the API whitelist.';
-      } else if (message.includes('permission') || message.includes('not permitted')) {
-        message = 'Insufficient API permissions. Please enable Contract Trading and Read Position.';
-      } else if (message.includes('403')) {
-        message = 'Access forbidden. Check API permissions and IP whitelist.';
-      } else if (message.includes('451')) {
-        message = 'Service unavailable from this location. Try a different exchange.';
-      }
 
-      throw new Error(message);
+      // ccxt's error class decides the code and the user-facing message
+      throw toExchangeError(error);
     }
   }
 
-  async getAccountBalance() {
+  // USDT equity
+  async getAccountBalance(options) {
+    return (await this.getBalances(options)).total;
+  }
+
+  // Free USDT - the margin new orders can still post
+  async getAvailableMargin(options) {
+    return (await this.getBalances(options)).free;
+  }
+
+  // USDT balances. Reused for a few seconds so status polls and back-to-back sizing decisions
+  // share one fetchBalance; our own orders and closes invalidate it.
+  async getBalances({ maxAgeMs = 5000 } = {}) {
     if (!this.isConnected || !this.exchange) {
-      throw new Error('Exchange not connected');
+      throw new ExchangeApiError('EXCHANGE_NOT_CONNECTED', 'Exchange not connected', { status: 400 });
+    }
+
+    if (this.balanceCache && Date.now() - this.balanceCache.fetchedAt <= maxAgeMs) {
+      return this.balanceCache;
     }
 
     try {
-      const balance = await this.exchange.fetchBalance();
-      return balance.USDT?.total || 0;
+      const balance = await this.request('fetchBalance', () => this.exchange.fetchBalance());
+      const total = balance.USDT?.total || 0;
+      this.balanceCache = { total, free: balance.USDT?.free ?? total, fetchedAt: Date.now() };
+      return this.balanceCache;
     } catch (error) {
       console.error('❌ Failed to get balance:', error);
-      throw new Error('Failed to fetch account balance');
+      throw toExchangeError(error);
+    }
+  }
+
+  // One call to this account's exchange, through the rate limiter, retries and circuit breaker.
+  // Orders pass retryOn: ORDER_RETRY_CODES - a timed-out order may have been executed.
+  request(name, fn, options) {
+    return this.guard.call(name, fn, options);
+  }
+
+  // Rate-limit state and whether repeated failures have paused this account
+  getExchangeHealth() {
+    return this.guard.getSummary();
+  }
+
+  // Our own orders change both the balance and the positions
+  invalidateAccountCache() {
+    this.balanceCache = null;
+    this.positionsCache = null;
+  }
+
+  // Accepts a built-in strategy key or a ladder config object
+  getStrategyConfig(strategy) {
+    const config = typeof strategy === 'string' ? this.STRATEGIES[strategy] : strategy;
+    if (!config) {
+      throw new Error(`Unknown strategy: ${strategy}`);
     }
+    return config;
   }
 
+  getStrategyId(strategy) {
+    return typeof strategy === 'string' ? strategy : strategy.id;
+  }
+
+  // USDT margin for a level - 0.1% of the balance times the level's multiplier on the built-ins
   calculatePositionSize(accountBalance, level, strategy) {
-    const baseAmount = accountBalance * this.STRATEGIES[strategy].capitalBase; // 0.1% of balance
-    const multiplier = this.STRATEGIES[strategy].martingaleMultipliers[level - 1];
-    return baseAmount * multiplier;
+    return positionSize(accountBalance, level, this.getStrategyConfig(strategy));
   }
 
   async setLeverage(symbol, leverage) {
     try {
-      await this.exchange.setLeverage(leverage, symbol);
+      await this.request('setLeverage', () => this.exchange.setLeverage(leverage, symbol));
       console.log(`✅ Set leverage to ${leverage}x for ${symbol}`);
     } catch (error) {
       console.error(`❌ Failed to set leverage for ${symbol}:`, error);
     }
   }
 
-  async placeMartingaleOrder(symbol, strategy, level = 1, side = 'buy') {
+  async placeMartingaleOrder(symbol, strategy, level = 1, side = 'buy', options = {}) {
     try {
       if (!this.isConnected) {
-        throw new Error('Not connected to exchange');
+        throw new ExchangeApiError('EXCHANGE_NOT_CONNECTED', 'Not connected to exchange', { status: 400 });
       }
 
+      const config = this.getStrategyConfig(strategy);
+      const strategyId = this.getStrategyId(strategy);
+
       // Get current balance
       const accountBalance = await this.getAccountBalance();
+
+      this.publishBalance(accountBalance);
+
+      // Account drawdown / daily loss / level limits
+      await this.enforceRiskLimits(level, accountBalance);
       
-      // Calculate position size using your exact formula
-      const positionSize = this.calculatePositionSize(accountBalance, level, strategy);
+      // Calculate position size using your exact formula (USDT margin for this level),
+      // from the share of the balance allocated to this run
+      const allocatedBalance = accountBalance * (options.allocationPercent ?? 100) / 100;
+      const positionSize = this.calculatePositionSize(allocatedBalance, level, strategy);
       
       // Set leverage first
-      await this.setLeverage(symbol, this.STRATEGIES[strategy].leverage);
-      
-      // Get minimum order size for the symbol
-      const markets = await this.exchange.loadMarkets();
-      const market = markets[symbol];
-      const minOrderSize = market.limits.amount.min;
+      await this.setLeverage(symbol, config.leverage);
       
-      // Ensure position size meets minimum requirements
-      if (positionSize < minOrderSize) {
-        throw new Error(`Position size ${positionSize} too small. Min: ${minOrderSize}`);
+      // Turn the margin into a contract amount the exchange accepts
+      await this.request('loadMarkets', () => marketData.loadMarkets(this.exchange));
+      const price = await this.getMarketPrice(symbol);
+      const sizing = sizeOrder(this.exchange, symbol, {
+        margin: positionSize,
+        leverage: config.leverage,
+        price
+      });
+      if (!sizing.valid) {
+        throw new ExchangeApiError('ORDER_SIZE_INVALID', `Level ${level} can't be placed: ${sizing.reason}`, { status: 400 });
       }
 
-      console.log(`🚀 Placing ${strategy} LIVE order:`);
+      // Can this level and the ones after it be funded, and do they survive until the next trigger?
+      const ladderCheck = await this.checkLadderRisk(symbol, config, {
+        side,
+        level,
+        price,
+        allocationPercent: options.allocationPercent
+      });
+      if (!ladderCheck.allowed) {
+        throw new RiskLimitError(ladderCheck.reason, ladderCheck.code, ladderCheck);
+      }
+      ladderCheck.warnings.forEach(warning => console.log(`⚠️ ${symbol}: ${warning}`));
+
+      console.log(`🚀 Placing ${config.name} LIVE order:`);
       console.log(`   Symbol: ${symbol}`);
       console.log(`   Level: ${level}`);
-      console.log(`   Position Size: ${positionSize.toFixed(2)}`);
+      console.log(`   Margin: ${sizing.margin.toFixed(2)} USDT (${sizing.notional.toFixed(2)} USDT at ${config.leverage}x)`);
+      console.log(`   Amount: ${sizing.amount} contracts`);
       console.log(`   Account Balance: ${accountBalance.toFixed(2)}`);
       console.log(`   🔴 LIVE TRADING - REAL MONEY`);
 
-      // Place the market order
-      const order = await this.exchange.createMarketOrder(
+      const tradeDetails = {
         symbol,
         side,
-        positionSize,
-        null, // price (null for market order)
-        null, // amount in quote currency
-        {
-          leverage: this.STRATEGIES[strategy].leverage,
-          marginMode: 'isolated', // Use isolated margin
-          timeInForce: 'IOC' // Immediate or Cancel
+        amount: sizing.amount,
+        entryPrice: price,
+        level,
+        cycle: options.cycle ?? 1,
+        leverage: config.leverage,
+        contractSize: sizing.contractSize,
+        margin: sizing.margin,
+        strategy: strategyId,
+        runId: options.runId
+      };
+
+      // An earlier attempt at this level whose response was lost may have filled after all
+      // (the caller may already have settled it)
+      const attempt = options.settledAttempt || await this.prepareOrderAttempt(tradeDetails);
+      let order = attempt.order;
+      const { tradeId, clientOrderId } = attempt;
+
+      if (order) {
+        console.log(`♻️ Level ${level} order ${clientOrderId} went through earlier - not sending it again`);
+      } else {
+        // Place the market order
+        const sentAt = Date.now();
+        try {
+          order = await this.request('createOrder', () => this.exchange.createMarketOrder(
+            symbol,
+            side,
+            sizing.amount,
+            undefined, // price (none for market order)
+            {
+              leverage: config.leverage,
+              marginMode: 'isolated', // Use isolated margin
+              timeInForce: 'IOC', // Immediate or Cancel
+              clientOrderId
+            }
+          ), { retryOn: ORDER_RETRY_CODES });
+        } catch (error) {
+          if (!isOrderOutcomeUnknown(error)) {
+            await this.markTradeFailed(tradeId);
+            throw error;
+          }
+
+          // The exchange may have taken the order - ask for it by our id instead of re-sending
+          order = await this.findOrderByClientId(symbol, clientOrderId, sentAt - 60 * 1000);
+          if (!order) {
+            throw new ExchangeApiError(
+              'ORDER_STATUS_UNKNOWN',
+              `Level ${level} order ${clientOrderId} may not have reached the exchange (${toExchangeError(error).message}). It is looked up again before the next attempt.`,
+              { status: 502, cause: error }
+            );
+          }
+          console.log(`🔎 Level ${level} order ${clientOrderId} was accepted despite the error - continuing`);
         }
-      );
+      }
 
       console.log('✅ LIVE Order placed successfully:', order.id);
+      this.invalidateAccountCache();
+
+      // Remember where this level filled so the engine can measure the next step
+      const entryPrice = order.average || order.price || price;
+      tradeDetails.entryPrice = entryPrice;
+      tradeDetails.amount = order.amount || sizing.amount;
+      await this.recordOrderResult(tradeId, order, tradeDetails);
+
+      const orderEvent = {
+        runId: options.runId || null,
+        orderId: order.id,
+        symbol,
+        side,
+        level,
+        amount: sizing.amount,
+        margin: sizing.margin,
+        notional: sizing.notional,
+        price: entryPrice
+      };
+      this.publish('order:placed', orderEvent);
+      if (order.status === 'closed' && order.filled > 0) {
+        this.publish('order:filled', { ...orderEvent, type: 'entry', filled: order.filled });
+      }
       
       return {
         success: true,
         orderId: order.id,
+        tradeId,
         symbol: symbol,
         side: side,
-        amount: positionSize,
+        amount: sizing.amount,
+        margin: sizing.margin,
+        notional: sizing.notional,
+        entryPrice: entryPrice,
         level: level,
-        strategy: strategy,
+        strategy: strategyId,
+        ladderCheck,
         timestamp: new Date(),
         isLive: true // Flag for live trading
       };
 
     } catch (error) {
+      if (error instanceof RiskLimitError) throw error;
       console.error('❌ LIVE Order placement failed:', error);
-      throw new Error(`LIVE Order Failed: ${error.message}`);
+      const failure = toExchangeError(error);
+      throw new ExchangeApiError(failure.code, `LIVE Order Failed: ${failure.message}`, {
+        status: failure.status,
+        retryable: failure.retryable,
+        cause: error
+      });
+    }
+  }
+
+  // ===== Order attempts =====
+
+  // Client order id and pending Trade for the next order at a run's level. Resolves an earlier
+  // attempt that never got a confirmed result first (see settleUnconfirmedOrder).
+  async prepareOrderAttempt(details) {
+    const { runId, cycle, level } = details;
+
+    if (!this.userId) {
+      const key = `${runId}|${cycle}|${level}`;
+      const attempt = (this.orderAttempts.get(key) || 0) + 1;
+      this.orderAttempts.set(key, attempt);
+      return { tradeId: null, clientOrderId: buildClientOrderId(runId, cycle, level, attempt), order: null };
+    }
+
+    const settled = await this.settleUnconfirmedOrder(details);
+    if (settled) return settled;
+
+    const attempt = await Trade.countDocuments({ runId, cycle, martingaleLevel: level - 1 }) + 1;
+    const clientOrderId = buildClientOrderId(runId, cycle, level, attempt);
+    const tradeId = await this.recordOrderIntent(details, clientOrderId);
+    return { tradeId, clientOrderId, order: null };
+  }
+
+  // An earlier attempt at a run's level that never got a confirmed result. Returns it with its
+  // order ({ tradeId, clientOrderId, side, order }) if it went through, refuses to go on while
+  // it might still show up, and writes it off (returning null) once it's too old.
+  async settleUnconfirmedOrder({ symbol, runId, cycle, level }) {
+    if (!this.userId) return null;
+
+    const unconfirmed = await Trade.findOne({
+      runId,
+      cycle,
+      martingaleLevel: level - 1,
+      status: 'pending',
+      orderId: null,
+      clientOrderId: { $ne: null }
+    });
+    if (!unconfirmed) return null;
+
+    const order = await this.findOrderByClientId(symbol, unconfirmed.clientOrderId, unconfirmed.timestamp.getTime() - 60 * 1000);
+    if (order) {
+      return { tradeId: unconfirmed._id, clientOrderId: unconfirmed.clientOrderId, side: unconfirmed.side, order };
+    }
+    if (Date.now() - unconfirmed.timestamp.getTime() < UNCONFIRMED_ORDER_GRACE) {
+      throw new ExchangeApiError(
+        'ORDER_STATUS_UNKNOWN',
+        `Level ${level} order ${unconfirmed.clientOrderId} is still unconfirmed - waiting for the exchange before sending another`,
+        { status: 409, retryable: true }
+      );
+    }
+    unconfirmed.flagDiscrepancy('order_not_found', unconfirmed.clientOrderId, null);
+    await this.markTradeFailed(unconfirmed._id, unconfirmed);
+    return null;
+  }
+
+  // Write the Trade before the order goes out, so a lost response still leaves a record
+  // the engine and the reconciler can look up by client order id
+  async recordOrderIntent(details, clientOrderId) {
+    try {
+      const trade = await Trade.create({
+        userId: this.userId,
+        runId: details.runId || null,
+        cycle: details.cycle,
+        symbol: details.symbol,
+        side: details.side,
+        quantity: details.amount,
+        contractSize: details.contractSize,
+        notional: pnl.notional(details.entryPrice, details.amount, details.contractSize),
+        price: details.entryPrice,
+        clientOrderId,
+        exchange: this.exchange.id,
+        strategy: details.strategy,
+        martingaleLevel: details.level - 1,
+        status: 'pending',
+        entryPrice: details.entryPrice,
+        leverage: details.leverage,
+        margin: details.margin
+      });
+      return trade._id;
+    } catch (error) {
+      // Without the record a lost response could end in a duplicate order - don't send
+      throw new ExchangeApiError('ORDER_NOT_RECORDED', `Could not record the order before sending it: ${error.message}`, {
+        status: 503,
+        retryable: true,
+        cause: error
+      });
+    }
+  }
+
+  // Fill in the exchange's answer; the reconciler confirms fills, fees and the exit
+  async recordOrderResult(tradeId, order, details) {
+    if (!tradeId) return;
+
+    try {
+      const filled = order.status === 'closed' && order.filled > 0;
+      await Trade.updateOne({ _id: tradeId }, {
+        orderId: order.id,
+        quantity: details.amount,
+        notional: pnl.notional(details.entryPrice, details.amount, details.contractSize),
+        price: details.entryPrice,
+        entryPrice: details.entryPrice,
+        status: filled ? 'filled' : 'pending',
+        fees: order.fee?.cost || 0,
+        filledQuantity: filled ? order.filled : null,
+        filledAt: filled ? new Date(order.timestamp || Date.now()) : null
+      });
+
+      await User.updateOne({ _id: this.userId }, { $inc: { 'stats.totalTrades': 1 } });
+    } catch (error) {
+      console.error('❌ Failed to save trade:', error.message);
+    }
+  }
+
+  async markTradeFailed(tradeId, trade = null) {
+    if (!tradeId) return;
+
+    try {
+      if (trade) {
+        trade.status = 'failed';
+        trade.reconciledAt = new Date();
+        await trade.save();
+      } else {
+        await Trade.updateOne({ _id: tradeId }, { status: 'failed', reconciledAt: new Date() });
+      }
+    } catch (error) {
+      console.error('❌ Failed to mark trade as failed:', error.message);
+    }
+  }
+
+  // Recent order with our client order id, or null. Market orders close at once, so closed
+  // orders are searched first; unified fetchOrder can't look up client ids on every exchange.
+  async findOrderByClientId(symbol, clientOrderId, since) {
+    for (const method of ['fetchClosedOrders', 'fetchOpenOrders']) {
+      if (typeof this.exchange[method] !== 'function' || this.exchange.has?.[method] === false) continue;
+
+      try {
+        const orders = await this.request(method, () => this.exchange[method](symbol, since));
+        const order = orders.find(candidate => candidate.clientOrderId === clientOrderId);
+        if (order) return order;
+      } catch (error) {
+        console.error(`⚠️ Could not look up order ${clientOrderId} on ${symbol}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  // ===== Ladder risk =====
+
+  // Maintenance margin tiers for the symbol; null falls back to the default rate
+  async getLeverageTiers(symbol) {
+    try {
+      return await this.request('fetchMarketLeverageTiers', () => marketData.getLeverageTiers(this.exchange, symbol));
+    } catch (error) {
+      console.error(`⚠️ Could not load ${symbol} leverage tiers:`, error.message);
+      return null;
+    }
+  }
+
+  // Pre-trade check of the ladder from `level` on, with `level` entering at `price`: the margin
+  // the remaining levels need against the free balance, and the estimated liquidation price
+  // after each level against the next level's trigger. Escalations start from the open position.
+  async checkLadderRisk(symbol, config, { side, level, price, allocationPercent = 100 }) {
+    const accountBalance = await this.getAccountBalance();
+    const availableMargin = await this.getAvailableMargin();
+    const tiers = await this.getLeverageTiers(symbol);
+
+    let position = null;
+    if (level > 1) {
+      const open = await this.getPosition(symbol);
+      if (open) {
+        const quantity = open.contracts * (open.contractSize || 1);
+        const notional = open.entryPrice * quantity;
+        position = { quantity, notional, margin: open.initialMargin ?? open.collateral ?? notional / config.leverage };
+      }
+    }
+
+    const levels = projectLadder(config, {
+      balance: accountBalance * allocationPercent / 100,
+      price,
+      side,
+      tiers,
+      fromLevel: level,
+      position
+    });
+    return {
+      ...assessLadder(levels, { availableMargin }),
+      maintenanceTiers: tiers && tiers.length > 0 ? 'exchange' : 'default'
+    };
+  }
+
+  // Refuse the order (and halt the engine) when an account risk limit is breached
+  async enforceRiskLimits(level, equity) {
+    if (!this.userId) return;
+
+    const check = await riskManager.checkOrder(this.userId, { equity, level });
+    if (check.allowed) return;
+
+    this.publish('risk:limit', { code: check.code, reason: check.reason, flatten: !!check.flatten, equity });
+    await this.haltStrategies(check);
+    throw new RiskLimitError(`Risk limit reached: ${check.reason}`, check.code);
+  }
+
+  // Stop every run after a breach. Positions are only flattened when the user asked for it,
+  // otherwise they stay open under their exchange-side TP/SL.
+  async haltStrategies(check) {
+    for (const state of this.activeStrategies.values()) {
+      this.recordTransition(state, 'risk_halt', { reason: check.reason, flatten: check.flatten });
+    }
+
+    if (check.flatten) {
+      await this.emergencyStop('risk_limit');
+      return;
+    }
+
+    for (const [symbol, state] of this.activeStrategies) {
+      state.isActive = false;
+      state.stopReason = 'risk_limit';
+      await this.saveStrategyRun(symbol, state);
+      this.publishStopped(symbol, state);
+    }
+    this.stopMonitoring();
+    this.activeStrategies.clear();
+    this.tradingActive = false;
+  }
+
+  // Close the symbol's open Trade records at the exit price (updating user stats) and
+  // feed the realized PnL to the daily loss limit. Returns the realized PnL.
+  async recordClose(symbol, { exitPrice, fees = 0, fallbackPnl = null }) {
+    if (!this.userId) return null;
+
+    let realizedPnl = null;
+    try {
+      const firstOpen = await Trade.findOne({
+        userId: this.userId,
+        symbol,
+        closedAt: null,
+        $or: [{ status: 'filled' }, { status: 'pending', orderId: { $ne: null } }]
+      }).sort({ timestamp: 1 });
+
+      const result = await Trade.closeOpenTrades(this.userId, symbol, {
+        exchange: this.exchange.id,
+        exitPrice,
+        fees,
+        funding: firstOpen ? await this.getFundingSince(symbol, firstOpen.timestamp.getTime()) : 0
+      });
+      if (result.closed > 0) {
+        realizedPnl = result.pnl;
+        console.log(`💾 Closed ${result.closed} trades on ${symbol} - realized PnL ${realizedPnl.toFixed(2)}`);
+      }
+      if (result.unconfirmed > 0) {
+        console.log(`⚠️ ${result.unconfirmed} unconfirmed ${symbol} orders marked failed`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record close for ${symbol}:`, error.message);
     }
+
+    // Trades may be missing (e.g. a failed write) - fall back to the exchange's figure
+    const pnl = realizedPnl ?? fallbackPnl;
+    await this.recordRealizedPnl(pnl);
+    await this.refreshBalance();
+    return pnl;
+  }
+
+  // Net funding received (+) / paid (-) on a symbol since a timestamp
+  async getFundingSince(symbol, since) {
+    if (typeof this.exchange.fetchFundingHistory !== 'function' || this.exchange.has?.fetchFundingHistory === false) {
+      return 0;
+    }
+
+    try {
+      const payments = await this.request('fetchFundingHistory', () => this.exchange.fetchFundingHistory(symbol, since));
+      return payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    } catch (error) {
+      console.error(`⚠️ Could not fetch funding for ${symbol}:`, error.message);
+      return 0;
+    }
+  }
+
+  // Feed closed-position PnL into the daily loss limit
+  async recordRealizedPnl(pnl) {
+    if (!this.userId) return;
+
+    try {
+      await riskManager.recordRealizedPnl(this.userId, pnl, this.exchange.id);
+    } catch (error) {
+      console.error('❌ Failed to record realized PnL:', error.message);
+    }
+  }
+
+  async getMarketPrice(symbol) {
+    return this.request('fetchTicker', () => marketData.getPrice(this.exchange, symbol));
+  }
+
+  // Get the open position for a symbol (ccxt reports size in `contracts`)
+  async getPosition(symbol) {
+    const positions = await this.request('fetchPositions', () => this.exchange.fetchPositions([symbol]));
+    return positions.find(p => p.symbol === symbol && p.contracts > 0) || null;
   }
 
   async closePosition(symbol) {
     try {
       // Get current position
-      const positions = await this.exchange.fetchPositions([symbol]);
-      const position = positions.find(p => p.symbol === symbol && p.size > 0);
+      const position = await this.getPosition(symbol);
       
       if (!position) {
         console.log(`ℹ️ No open position for ${symbol}`);
@@ -239,22 +718,43 @@ class ExchangeService {
 
       // Close the position with market order
       const side = position.side === 'long' ? 'sell' : 'buy';
-      const order = await this.exchange.createMarketOrder(
+      const order = await this.request('createOrder', () => this.exchange.createMarketOrder(
         symbol,
         side,
-        position.size,
-        null,
-        null,
+        position.contracts,
+        undefined,
         { reduceOnly: true }
-      );
+      ), { retryOn: ORDER_RETRY_CODES });
 
       console.log(`✅ LIVE Position closed for ${symbol}:`, order.id);
+      this.invalidateAccountCache();
+
+      // Book the exit on the position's Trade records
+      const exitPrice = order.average || order.price || position.markPrice || await this.getMarketPrice(symbol);
+      const realizedPnl = await this.recordClose(symbol, {
+        exitPrice,
+        fees: order.fee?.cost || 0,
+        fallbackPnl: position.unrealizedPnl
+      });
+
+      const run = this.activeStrategies.get(symbol);
+      this.publish('order:filled', {
+        runId: run ? run.runId || null : null,
+        orderId: order.id,
+        symbol,
+        side,
+        type: 'close',
+        amount: position.contracts,
+        price: exitPrice,
+        pnl: realizedPnl ?? position.unrealizedPnl
+      });
       
       return {
         success: true,
         orderId: order.id,
-        closedSize: position.size,
-        pnl: position.unrealizedPnl,
+        closedSize: position.contracts,
+        exitPrice,
+        pnl: realizedPnl ?? position.unrealizedPnl,
         isLive: true
       };
 
@@ -264,39 +764,124 @@ class ExchangeService {
     }
   }
 
-  async getActivePositions() {
+  // Open positions, reused for a few seconds like the balance so status polls stay cheap
+  async getActivePositions({ maxAgeMs = 5000 } = {}) {
     if (!this.isConnected || !this.exchange) {
-      throw new Error('Exchange not connected');
+      throw new ExchangeApiError('EXCHANGE_NOT_CONNECTED', 'Exchange not connected', { status: 400 });
+    }
+
+    if (this.positionsCache && Date.now() - this.positionsCache.fetchedAt <= maxAgeMs) {
+      return this.positionsCache.value;
     }
 
     try {
-      const positions = await this.exchange.fetchPositions();
-      return positions.filter(position => position.contracts > 0);
+      const positions = await this.request('fetchPositions', () => this.exchange.fetchPositions());
+      const value = positions.filter(position => position.contracts > 0);
+      this.positionsCache = { value, fetchedAt: Date.now() };
+      return value;
     } catch (error) {
       console.error('❌ Failed to get positions:', error);
       return [];
     }
   }
 
-  async startMartingaleStrategy(symbol, strategyType) {
+  // Order side for a run direction; "auto" follows the trend filter
+  async resolveSide(symbol, direction) {
+    if (direction === 'short') return 'sell';
+    if (direction === 'auto') {
+      const trend = await this.trendFilter.getDirection(this.exchange, symbol);
+      return trend === 'short' ? 'sell' : 'buy';
+    }
+    return 'buy';
+  }
+
+  async startMartingaleStrategy(symbol, strategy, options = {}) {
     try {
-      console.log(`🎯 Starting ${strategyType} LIVE strategy for ${symbol}`);
+      const config = this.getStrategyConfig(strategy);
+      const direction = options.direction || 'long';
+      if (!DIRECTIONS.includes(direction)) {
+        throw new Error(`Invalid direction: ${direction}. Use long, short or auto`);
+      }
+
+      const allocationPercent = options.allocationPercent ?? 100;
+      const allocated = this.getAllocatedPercent();
+      if (allocated + allocationPercent > 100) {
+        throw new Error(`Only ${100 - allocated}% of the balance is unallocated - lower the allocation or stop a run`);
+      }
+
+      console.log(`🎯 Starting ${config.name} LIVE strategy for ${symbol} (${direction})`);
       console.log(`🔴 WARNING: This will trade REAL MONEY`);
+
+      const existing = this.activeStrategies.get(symbol);
+      if (existing && existing.isActive) {
+        throw new Error(`A ${existing.config.name} strategy is already running on ${symbol}`);
+      }
       
+      const side = await this.resolveSide(symbol, direction);
+
+      // Strategy state - the ladder is snapshotted so later edits don't affect a running cycle.
+      // The run id exists before the first order because client order ids are built from it.
+      const state = {
+        runId: new mongoose.Types.ObjectId().toString(),
+        strategy: this.getStrategyId(strategy),
+        config: { ...config },
+        direction,
+        side,
+        allocationPercent,
+        currentLevel: 0,
+        cycle: 0, // Cycle 1 opens with the level 1 order
+        orderId: null,
+        orderIds: [],
+        lastEntryPrice: null,
+        maxLevelReached: false,
+        startTime: new Date(),
+        cycleStartTime: new Date(),
+        isActive: true,
+        isLive: true,
+        history: []
+      };
+
+      // Indicator entry filter - the run waits for its conditions instead of entering now.
+      // The ladder is still checked at today's price so an unfundable run doesn't start waiting.
+      const entryCheck = await this.checkEntryConditions(symbol, config, side);
+      if (!entryCheck.allowed) {
+        const ladderCheck = await this.checkLadderRisk(symbol, config, {
+          side,
+          level: 1,
+          price: await this.getMarketPrice(symbol),
+          allocationPercent
+        });
+        if (!ladderCheck.allowed) {
+          throw new RiskLimitError(ladderCheck.reason, ladderCheck.code, ladderCheck);
+        }
+        return await this.startWaiting(symbol, state, entryCheck, { ladderCheck });
+      }
+
       // Place initial order (Level 1)
-      const result = await this.placeMartingaleOrder(symbol, strategyType, 1, 'buy');
-      
-      // Store strategy state
-      this.activeStrategies.set(symbol, {
-        strategy: strategyType,
+      let result;
+      try {
+        result = await this.placeMartingaleOrder(symbol, config, 1, side, { ...this.getOrderOptions(state), cycle: 1 });
+      } catch (error) {
+        if (error.code !== 'ORDER_STATUS_UNKNOWN') throw error;
+        // The order may have gone through. Keep the run so its next tick looks the order up -
+        // a retried /start would send another one under a new run id.
+        return await this.startWaiting(symbol, state, { allowed: false, reasons: [error.message], failed: ['order unconfirmed'] }, { orderUnconfirmed: true });
+      }
+
+      Object.assign(state, {
         currentLevel: 1,
+        cycle: 1,
         orderId: result.orderId,
-        startTime: new Date(),
-        isActive: true,
-        isLive: true
+        orderIds: [result.orderId],
+        lastEntryPrice: result.entryPrice
       });
+      this.recordTransition(state, 'cycle_started', { price: result.entryPrice, orderId: result.orderId, side });
+      this.activeStrategies.set(symbol, state);
+      await this.refreshProtectiveOrders(symbol, state);
+      await this.saveStrategyRun(symbol, state);
 
       this.tradingActive = true;
+      this.startMonitoring();
       return result;
     } catch (error) {
       console.error('❌ Failed to start LIVE strategy:', error);
@@ -304,9 +889,68 @@ class ExchangeService {
     }
   }
 
-  async stopAllStrategies() {
+  // Register a level-0 run that opens its first cycle from the monitor loop
+  async startWaiting(symbol, state, entryCheck, extra = {}) {
+    this.activeStrategies.set(symbol, state);
+    await this.waitForEntry(symbol, state, entryCheck);
+
+    this.tradingActive = true;
+    this.startMonitoring();
+    return {
+      success: true,
+      awaitingEntry: true,
+      runId: state.runId,
+      symbol,
+      side: state.side,
+      level: 0,
+      strategy: state.strategy,
+      entryReasons: entryCheck.reasons,
+      isLive: true,
+      ...extra
+    };
+  }
+
+  // Stop a single run: pull its bracket, close its position and mark it stopped
+  async stopStrategy(symbol, stopReason = 'stopped_by_user') {
+    const state = this.activeStrategies.get(symbol);
+    if (!state) {
+      throw new Error(`No strategy running on ${symbol}`);
+    }
+
+    console.log(`🛑 Stopping ${state.config.name} strategy on ${symbol}...`);
+
+    await this.cancelProtectiveOrders(symbol, state);
+    const closeResult = await this.closePosition(symbol);
+
+    state.isActive = false;
+    state.stopReason = stopReason;
+    this.recordTransition(state, 'stopped', { reason: stopReason });
+    await this.retireRun(symbol, state);
+
+    return { success: true, symbol, runId: state.runId || null, pnl: closeResult.pnl ?? null };
+  }
+
+  // Persist a run that has ended, drop it from the session and stop the monitor once
+  // nothing else is running
+  async retireRun(symbol, state) {
+    await this.saveStrategyRun(symbol, state);
+    this.activeStrategies.delete(symbol);
+    this.publishStopped(symbol, state);
+
+    if (!this.hasActiveRuns()) {
+      this.stopMonitoring();
+      this.tradingActive = false;
+    }
+  }
+
+  async stopAllStrategies(stopReason = 'stopped_by_user') {
     try {
       console.log('🛑 Stopping all LIVE trading strategies...');
+
+      // Pull the TP/SL brackets first so they can't fire on a closing position
+      for (const [symbol, state] of this.activeStrategies) {
+        await this.cancelProtectiveOrders(symbol, state);
+      }
       
       // Close all open positions
       const positions = await this.getActivePositions();
@@ -314,7 +958,16 @@ class ExchangeService {
       
       await Promise.all(closePromises);
       
+      // Mark persisted runs as stopped so they aren't resumed after a restart
+      for (const [symbol, state] of this.activeStrategies) {
+        state.isActive = false;
+        state.stopReason = stopReason;
+        await this.saveStrategyRun(symbol, state);
+        this.publishStopped(symbol, state);
+      }
+
       // Clear active strategies
+      this.stopMonitoring();
       this.activeStrategies.clear();
       this.tradingActive = false;
       
@@ -326,11 +979,714 @@ class ExchangeService {
     }
   }
 
+  // ===== Strategy runs =====
+
+  // Per-run sizing options passed to placeMartingaleOrder
+  getOrderOptions(state) {
+    return { runId: state.runId, cycle: state.cycle, allocationPercent: state.allocationPercent };
+  }
+
+  hasActiveRuns() {
+    for (const state of this.activeStrategies.values()) {
+      if (state.isActive) return true;
+    }
+    return false;
+  }
+
+  // Balance share already committed to running strategies
+  getAllocatedPercent() {
+    let allocated = 0;
+    for (const state of this.activeStrategies.values()) {
+      if (state.isActive) allocated += state.allocationPercent ?? 100;
+    }
+    return allocated;
+  }
+
+  // Symbol of the run matching a run id or symbol, or null
+  findStrategy({ runId, symbol } = {}) {
+    for (const [runSymbol, state] of this.activeStrategies) {
+      // Either form works: "BTC/USDT" or the exchange's "BTC/USDT:USDT"
+      if (symbol ? sameMarket(runSymbol, symbol) : runId && state.runId === runId) return runSymbol;
+    }
+    return null;
+  }
+
+  getRunSummary(symbol) {
+    const state = this.activeStrategies.get(symbol);
+    if (!state) return null;
+
+    return {
+      runId: state.runId || null,
+      symbol,
+      pair: toDisplaySymbol(symbol),
+      strategy: state.strategy,
+      strategyName: state.config.name,
+      direction: state.direction,
+      side: state.side,
+      allocationPercent: state.allocationPercent ?? 100,
+      currentLevel: state.currentLevel,
+      maxLevels: state.config.maxLevels,
+      cycle: state.cycle,
+      lastEntryPrice: state.lastEntryPrice,
+      protection: state.protection || null,
+      awaitingEntry: !!state.awaitingEntry,
+      entrySkip: state.entrySkip || null,
+      ladderRisk: state.ladderRisk || null,
+      status: state.isActive ? 'active' : 'stopped',
+      stopReason: state.stopReason || null,
+      startTime: state.startTime,
+      cycleStartTime: state.cycleStartTime
+    };
+  }
+
+  getRunSummaries() {
+    return [...this.activeStrategies.keys()].map(symbol => this.getRunSummary(symbol));
+  }
+
+  // ===== Live updates =====
+
+  // Push an event to this session's user over Socket.IO
+  publish(event, payload) {
+    if (!this.userId) return;
+    realtime.emitToUser(this.userId, event, { exchange: this.getConnectedExchange(), ...payload });
+  }
+
+  // Only push the balance when it actually moved
+  publishBalance(balance) {
+    if (!Number.isFinite(balance) || balance === this.lastPublishedBalance) return;
+    this.lastPublishedBalance = balance;
+    this.publish('balance:update', { balance });
+  }
+
+  async refreshBalance() {
+    if (!this.userId) return;
+
+    try {
+      this.publishBalance(await this.getAccountBalance());
+    } catch (error) {
+      console.error('⚠️ Could not refresh balance for live updates:', error.message);
+    }
+  }
+
+  publishStopped(symbol, state) {
+    this.publish('strategy:stopped', {
+      runId: state.runId || null,
+      symbol,
+      reason: state.stopReason || null,
+      cycle: state.cycle,
+      level: state.currentLevel
+    });
+  }
+
+  // ===== Martingale cycle engine =====
+
+  // Keep an audit trail of every level / cycle transition
+  recordTransition(state, type, details = {}) {
+    const transition = {
+      type,
+      cycle: state.cycle,
+      level: state.currentLevel,
+      timestamp: new Date(),
+      ...details
+    };
+    state.history.push(transition);
+
+    // Only the most recent transitions are kept in memory
+    if (state.history.length > 200) {
+      state.history.shift();
+    }
+
+    console.log(`📈 [${state.config.name}] ${type} - cycle ${state.cycle}, level ${state.currentLevel}`);
+    return transition;
+  }
+
+  // Check one running strategy: take profit, escalate or wait
+  async evaluateStrategy(symbol) {
+    const state = this.activeStrategies.get(symbol);
+    if (!state || !state.isActive || state.evaluating) return null;
+
+    state.evaluating = true;
+    try {
+      const config = state.config;
+
+      // Flat and waiting for the entry conditions of the next cycle
+      if (state.awaitingEntry) {
+        const result = await this.startNewCycle(symbol, state);
+        return result.awaitingEntry
+          ? { action: 'waiting', reasons: result.reasons }
+          : { action: 'entered', level: 1, price: result.entryPrice };
+      }
+      const position = await this.getPosition(symbol);
+
+      if (!position) {
+        // The exchange-side bracket may have closed it while we weren't looking
+        const closedBy = state.protection ? await this.detectProtectiveClose(symbol, state) : null;
+
+        if (closedBy === 'take_profit') {
+          this.recordTransition(state, 'take_profit', {
+            closedBy: 'exchange',
+            price: state.protection.takeProfitPrice
+          });
+          this.publishBracketFill(symbol, state, 'take_profit');
+          await this.recordClose(symbol, {
+            exitPrice: state.protection.takeProfitPrice,
+            fallbackPnl: this.estimateBracketPnl(state, state.protection.takeProfitPrice)
+          });
+          await this.cancelProtectiveOrders(symbol, state);
+          await this.startNewCycle(symbol, state);
+          return { action: 'take_profit', closedBy: 'exchange' };
+        }
+
+        if (closedBy === 'stop_loss') {
+          state.isActive = false;
+          state.stopReason = 'stop_loss';
+          this.recordTransition(state, 'stop_loss', {
+            closedBy: 'exchange',
+            price: state.protection.stopLossPrice
+          });
+          this.publishBracketFill(symbol, state, 'stop_loss');
+          await this.recordClose(symbol, {
+            exitPrice: state.protection.stopLossPrice,
+            fallbackPnl: this.estimateBracketPnl(state, state.protection.stopLossPrice)
+          });
+          await this.cancelProtectiveOrders(symbol, state);
+          await this.retireRun(symbol, state);
+          return { action: 'stopped', reason: 'stop_loss' };
+        }
+
+        // Position vanished (closed by hand or liquidated) - book the exit and don't keep trading blindly
+        const exit = await this.findExitFills(symbol, state);
+        const exitPrice = exit ? exit.price : await this.getMarketPrice(symbol);
+        const fallbackPnl = this.estimateBracketPnl(state, exitPrice);
+        await this.cancelProtectiveOrders(symbol, state);
+        state.isActive = false;
+        state.stopReason = 'position_lost';
+        this.recordTransition(state, 'position_lost', { price: exitPrice, exitFill: !!exit });
+        await this.recordClose(symbol, {
+          exitPrice,
+          fees: exit ? exit.fees : 0,
+          fallbackPnl
+        });
+        await this.retireRun(symbol, state);
+        return { action: 'stopped', reason: 'position_lost' };
+      }
+
+      const price = await this.getMarketPrice(symbol);
+      const direction = state.side === 'buy' ? 1 : -1;
+      const averageEntry = position.entryPrice || state.lastEntryPrice;
+      const profitPercent = ((price - averageEntry) / averageEntry) * 100 * direction;
+
+      this.publish('position:update', {
+        runId: state.runId || null,
+        symbol,
+        side: state.side,
+        level: state.currentLevel,
+        cycle: state.cycle,
+        contracts: position.contracts,
+        entryPrice: averageEntry,
+        markPrice: price,
+        unrealizedPnl: pnl.unrealizedPnl({
+          side: state.side,
+          entryPrice: averageEntry,
+          markPrice: price,
+          quantity: position.contracts,
+          contractSize: position.contractSize || 1
+        }),
+        profitPercent,
+        liquidationPrice: position.liquidationPrice || null
+      });
+
+      // Winning cycle - bank it and start again from level 1
+      if (profitPercent >= config.takeProfitPercent) {
+        await this.cancelProtectiveOrders(symbol, state);
+        const closeResult = await this.closePosition(symbol);
+        this.recordTransition(state, 'take_profit', {
+          price,
+          averageEntry,
+          profitPercent,
+          pnl: closeResult.pnl
+        });
+        await this.startNewCycle(symbol, state);
+        return { action: 'take_profit', price, profitPercent };
+      }
+
+      // Losing - escalate once price has moved a full step against the last entry
+      const adversePercent = ((state.lastEntryPrice - price) / state.lastEntryPrice) * 100 * direction;
+      if (adversePercent < config.levelStepPercent) {
+        return { action: 'hold', price, profitPercent };
+      }
+
+      if (state.currentLevel >= config.maxLevels) {
+        if (!state.maxLevelReached) {
+          state.maxLevelReached = true;
+          this.recordTransition(state, 'max_level_reached', { price, averageEntry });
+          await this.saveStrategyRun(symbol, state);
+        }
+        return { action: 'max_level', price, profitPercent };
+      }
+
+      return await this.escalateLevel(symbol, state, price);
+    } catch (error) {
+      console.error(`❌ Strategy evaluation failed for ${symbol}:`, error.message);
+      const failure = toExchangeError(error);
+      return { action: 'error', error: failure.message, code: failure.code, retryable: failure.retryable };
+    } finally {
+      state.evaluating = false;
+    }
+  }
+
+  async escalateLevel(symbol, state, price) {
+    const nextLevel = state.currentLevel + 1;
+    let result;
+    try {
+      result = await this.placeMartingaleOrder(symbol, state.config, nextLevel, state.side, this.getOrderOptions(state));
+    } catch (error) {
+      if (!isLadderRiskError(error)) throw error;
+      // Hold under the existing bracket; the check runs again on the next tick
+      await this.refuseLevel(symbol, state, nextLevel, error);
+      return { action: 'level_refused', level: nextLevel, code: error.code, reason: error.message };
+    }
+
+    state.ladderRisk = null;
+    state.currentLevel = nextLevel;
+    state.orderId = result.orderId;
+    state.orderIds.push(result.orderId);
+    state.lastEntryPrice = result.entryPrice;
+
+    this.recordTransition(state, 'level_escalated', {
+      price: result.entryPrice,
+      triggerPrice: price,
+      orderId: result.orderId
+    });
+    this.publish('strategy:level', {
+      runId: state.runId || null,
+      symbol,
+      level: nextLevel,
+      maxLevels: state.config.maxLevels,
+      price: result.entryPrice,
+      triggerPrice: price
+    });
+    await this.refreshProtectiveOrders(symbol, state);
+    await this.saveStrategyRun(symbol, state);
+    return { action: 'escalated', level: nextLevel, price: result.entryPrice };
+  }
+
+  // Record a level the ladder check refused. Logged and pushed only when the reason changes -
+  // the check repeats on every monitor tick while price stays beyond the trigger.
+  async refuseLevel(symbol, state, level, error) {
+    const changed = !state.ladderRisk || state.ladderRisk.code !== error.code || state.ladderRisk.level !== level;
+    state.ladderRisk = { level, code: error.code, reason: error.message, checkedAt: new Date() };
+    if (!changed) return;
+
+    console.log(`⛔ [${state.config.name}] ${symbol} ${error.message}`);
+    this.recordTransition(state, 'level_refused', { level, code: error.code, reason: error.message });
+    this.publish('risk:ladder', {
+      runId: state.runId || null,
+      symbol,
+      level,
+      code: error.code,
+      reason: error.message,
+      liquidationPrice: error.details ? error.details.liquidationPrice : null
+    });
+    await this.saveStrategyRun(symbol, state);
+  }
+
+  async startNewCycle(symbol, state) {
+    const cycle = state.cycle + 1;
+    const unconfirmedEntry = (reasons) => ({ allowed: false, reasons, failed: ['order unconfirmed'], values: {} });
+
+    // A level-1 order whose result never came back is settled first, on the side it was sent:
+    // it may have filled, so neither the trend nor the entry conditions get a say over it
+    let settled;
+    try {
+      settled = await this.settleUnconfirmedOrder({ symbol, runId: state.runId, cycle, level: 1 });
+    } catch (error) {
+      if (error.code !== 'ORDER_STATUS_UNKNOWN') throw error;
+      await this.waitForEntry(symbol, state, unconfirmedEntry([error.message]));
+      return { awaitingEntry: true, symbol, side: state.side, reasons: [error.message] };
+    }
+
+    if (settled) {
+      state.side = settled.side;
+    } else {
+      // Auto runs re-read the trend at the start of every cycle
+      if (state.direction === 'auto') {
+        state.side = await this.resolveSide(symbol, 'auto');
+      }
+
+      const entryCheck = await this.checkEntryConditions(symbol, state.config, state.side);
+      if (!entryCheck.allowed) {
+        await this.waitForEntry(symbol, state, entryCheck);
+        return { awaitingEntry: true, symbol, side: state.side, reasons: entryCheck.reasons };
+      }
+    }
+
+    let result;
+    try {
+      result = await this.placeMartingaleOrder(symbol, state.config, 1, state.side, {
+        ...this.getOrderOptions(state),
+        cycle,
+        settledAttempt: settled
+      });
+    } catch (error) {
+      // The order may have gone through - the next tick looks it up before anything else
+      if (error.code === 'ORDER_STATUS_UNKNOWN') {
+        await this.waitForEntry(symbol, state, unconfirmedEntry([error.message]));
+        return { awaitingEntry: true, symbol, side: state.side, reasons: [error.message] };
+      }
+      if (!isLadderRiskError(error)) throw error;
+      // Stay flat until the ladder fits the balance again
+      await this.waitForEntry(symbol, state, { allowed: false, reasons: [error.message], failed: [error.code], values: {} });
+      return { awaitingEntry: true, symbol, side: state.side, reasons: [error.message] };
+    }
+
+    state.awaitingEntry = false;
+    state.entrySkip = null;
+    state.cycle += 1;
+    state.currentLevel = 1;
+    state.maxLevelReached = false;
+    state.orderId = result.orderId;
+    state.orderIds = [result.orderId];
+    state.lastEntryPrice = result.entryPrice;
+    state.cycleStartTime = new Date();
+
+    this.recordTransition(state, 'cycle_started', { price: result.entryPrice, orderId: result.orderId, side: state.side });
+    await this.refreshProtectiveOrders(symbol, state);
+    await this.saveStrategyRun(symbol, state);
+    return result;
+  }
+
+  // ===== Entry conditions =====
+
+  // Indicator gate for a level-1 entry ({ allowed, reasons, failed, values })
+  async checkEntryConditions(symbol, config, side) {
+    return this.entryFilter.check(this.exchange, symbol, config.entryConditions, side);
+  }
+
+  // Park a flat run until its entry conditions hold. Only logged when the set of failing
+  // rules changes - the check repeats on every monitor tick.
+  async waitForEntry(symbol, state, entryCheck) {
+    const failed = entryCheck.failed.join(', ');
+    const changed = !state.awaitingEntry || !state.entrySkip || state.entrySkip.failed !== failed;
+
+    state.awaitingEntry = true;
+    state.currentLevel = 0;
+    state.orderId = null;
+    state.orderIds = [];
+    state.lastEntryPrice = null;
+    state.maxLevelReached = false;
+    state.entrySkip = { failed, reasons: entryCheck.reasons, values: entryCheck.values, checkedAt: new Date() };
+
+    if (!changed) return;
+
+    console.log(`⏸️ [${state.config.name}] ${symbol} entry skipped: ${entryCheck.reasons.join('; ')}`);
+    this.recordTransition(state, 'entry_skipped', {
+      reasons: entryCheck.reasons,
+      values: entryCheck.values,
+      side: state.side
+    });
+    await this.saveStrategyRun(symbol, state);
+  }
+
+  // ===== Exchange-side TP/SL =====
+
+  // Place or amend the reduce-only bracket so it matches the averaged position
+  async refreshProtectiveOrders(symbol, state) {
+    try {
+      const position = await this.getPosition(symbol);
+      if (!position) return null;
+
+      const protectiveOrders = new ProtectiveOrders(this.exchange, this.guard);
+      const averageEntry = position.entryPrice || state.lastEntryPrice;
+      const prices = protectiveOrders.calculatePrices({
+        side: state.side,
+        averageEntry,
+        lastEntryPrice: state.lastEntryPrice,
+        config: state.config
+      });
+
+      const bracket = await protectiveOrders.replace(symbol, state.protection, {
+        side: state.side,
+        amount: position.contracts,
+        ...prices
+      });
+      state.protection = { ...bracket, averageEntry };
+
+      this.recordTransition(state, 'protection_updated', {
+        takeProfitPrice: state.protection.takeProfitPrice,
+        stopLossPrice: state.protection.stopLossPrice,
+        amount: state.protection.amount
+      });
+      return state.protection;
+    } catch (error) {
+      // The engine still manages the position; just make the gap visible
+      console.error(`❌ Failed to place TP/SL for ${symbol}:`, error.message);
+      this.recordTransition(state, 'protection_failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async cancelProtectiveOrders(symbol, state) {
+    if (!state.protection) return;
+
+    try {
+      await new ProtectiveOrders(this.exchange, this.guard).cancel(symbol, state.protection);
+    } catch (error) {
+      console.error(`❌ Failed to cancel TP/SL for ${symbol}:`, error.message);
+    }
+    state.protection = null;
+  }
+
+  publishBracketFill(symbol, state, type) {
+    const { takeProfitPrice, stopLossPrice, takeProfitOrderId, stopLossOrderId, amount } = state.protection;
+    const price = type === 'take_profit' ? takeProfitPrice : stopLossPrice;
+
+    this.publish('order:filled', {
+      runId: state.runId || null,
+      orderId: (type === 'take_profit' ? takeProfitOrderId : stopLossOrderId) || null,
+      symbol,
+      side: state.side === 'buy' ? 'sell' : 'buy',
+      type,
+      amount,
+      price,
+      pnl: this.estimateBracketPnl(state, price)
+    });
+  }
+
+  // Approximate PnL of a bracket fill - the exchange closed the position, not us
+  estimateBracketPnl(state, exitPrice) {
+    if (!state.protection) return null;
+    const { averageEntry, amount } = state.protection;
+    if (!averageEntry || !amount) return null;
+
+    return pnl.grossPnl({ side: state.side, entryPrice: averageEntry, exitPrice, quantity: amount });
+  }
+
+  // Closing fills of a position that was closed outside the engine (by hand, or the
+  // exchange's liquidation order): opposite-side fills after the cycle's last entry.
+  // Null when there are none or the exchange doesn't serve fill history.
+  async findExitFills(symbol, state) {
+    if (this.exchange.has && this.exchange.has.fetchMyTrades === false) return null;
+
+    const cycleStart = [...state.history].reverse().find(t => t.type === 'cycle_started' && t.cycle === state.cycle);
+    const since = cycleStart ? new Date(cycleStart.timestamp).getTime() : undefined;
+
+    try {
+      const fills = await this.request('fetchMyTrades', () => this.exchange.fetchMyTrades(symbol, since));
+      const entryOrderIds = new Set(state.orderIds);
+      const lastEntryTime = Math.max(0, ...fills.filter(fill => entryOrderIds.has(fill.order)).map(fill => fill.timestamp));
+      const closeSide = state.side === 'buy' ? 'sell' : 'buy';
+
+      return pnl.summarizeFills(fills.filter(fill =>
+        fill.side === closeSide && fill.timestamp >= lastEntryTime && !entryOrderIds.has(fill.order)
+      ));
+    } catch (error) {
+      console.error(`⚠️ Could not fetch fills for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  async detectProtectiveClose(symbol, state) {
+    try {
+      const price = await this.getMarketPrice(symbol);
+      return await new ProtectiveOrders(this.exchange, this.guard).detectFilledLeg(symbol, state.protection, price, state.side);
+    } catch (error) {
+      console.error(`❌ Could not check TP/SL fills for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  // ===== Strategy run persistence =====
+
+  // Write the in-memory state to its StrategyRun document (only for user sessions)
+  async saveStrategyRun(symbol, state) {
+    if (!this.userId) return null;
+
+    try {
+      const update = {
+        userId: this.userId,
+        exchange: this.getConnectedExchange(),
+        symbol,
+        strategy: state.strategy,
+        strategyConfig: state.config,
+        direction: state.direction,
+        side: state.side,
+        allocationPercent: state.allocationPercent ?? 100,
+        currentLevel: state.currentLevel,
+        cycle: state.cycle,
+        orderIds: state.orderIds,
+        lastOrderId: state.orderId,
+        lastEntryPrice: state.lastEntryPrice,
+        maxLevelReached: state.maxLevelReached,
+        protection: state.protection || null,
+        awaitingEntry: !!state.awaitingEntry,
+        status: state.isActive ? 'active' : 'stopped',
+        stopReason: state.stopReason || null,
+        stoppedAt: state.isActive ? null : new Date(),
+        history: state.history.map(({ type, cycle, level, price, orderId, timestamp, ...details }) => ({
+          type,
+          cycle,
+          level,
+          price,
+          orderId,
+          timestamp,
+          details: Object.keys(details).length > 0 ? details : null
+        })),
+        startTime: state.startTime,
+        cycleStartTime: state.cycleStartTime,
+        instanceId: lockService.instanceId,
+        heartbeatAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      // Run ids are assigned at start, so the first save creates the document
+      await StrategyRun.findByIdAndUpdate(state.runId, update, { upsert: true, setDefaultsOnInsert: true });
+      return state.runId;
+    } catch (error) {
+      // Persistence problems must never interrupt live order management
+      console.error(`❌ Failed to persist strategy run for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  // Pick a persisted run back up after a restart
+  async resumeStrategyRun(run) {
+    const symbol = run.symbol;
+    const position = await this.getPosition(symbol);
+
+    const state = {
+      runId: run._id.toString(),
+      strategy: run.strategy,
+      // Older runs predate stored ladders and always used a built-in key
+      config: run.strategyConfig || this.getStrategyConfig(run.strategy),
+      direction: run.direction || 'long',
+      side: run.side,
+      allocationPercent: run.allocationPercent ?? 100,
+      currentLevel: run.currentLevel,
+      cycle: run.cycle,
+      orderId: run.lastOrderId,
+      orderIds: [...run.orderIds],
+      lastEntryPrice: run.lastEntryPrice,
+      maxLevelReached: run.maxLevelReached,
+      protection: run.protection || null,
+      awaitingEntry: !!run.awaitingEntry,
+      startTime: run.startTime,
+      cycleStartTime: run.cycleStartTime,
+      isActive: true,
+      isLive: true,
+      history: run.history.map(t => ({
+        type: t.type,
+        cycle: t.cycle,
+        level: t.level,
+        price: t.price,
+        orderId: t.orderId,
+        timestamp: t.timestamp,
+        ...(t.details || {})
+      }))
+    };
+
+    // Still waiting for its entry conditions - nothing should be open
+    if (state.awaitingEntry) {
+      this.recordTransition(state, 'resumed', { awaitingEntry: true });
+      this.activeStrategies.set(symbol, state);
+      await this.saveStrategyRun(symbol, state);
+
+      this.tradingActive = true;
+      this.startMonitoring();
+      return { resumed: true, symbol, level: 0 };
+    }
+
+    // Nothing open on the exchange - we can't know how the cycle ended, so stop
+    if (!position) {
+      state.isActive = false;
+      state.stopReason = 'position_missing_on_restart';
+      this.recordTransition(state, 'position_missing_on_restart');
+      await this.saveStrategyRun(symbol, state);
+      this.publishStopped(symbol, state);
+      return { resumed: false, symbol, reason: state.stopReason };
+    }
+
+    // Fall back to the exchange's averaged entry if the last fill price was never stored
+    if (!state.lastEntryPrice) {
+      state.lastEntryPrice = position.entryPrice;
+    }
+
+    this.recordTransition(state, 'resumed', {
+      price: position.markPrice || position.entryPrice,
+      contracts: position.contracts
+    });
+    this.activeStrategies.set(symbol, state);
+
+    // Re-protect positions whose bracket was never placed
+    if (!state.protection) {
+      await this.refreshProtectiveOrders(symbol, state);
+    }
+    await this.saveStrategyRun(symbol, state);
+
+    this.tradingActive = true;
+    this.startMonitoring();
+    return { resumed: true, symbol, level: state.currentLevel };
+  }
+
+  // Evaluate every active strategy on a timer
+  startMonitoring(intervalMs = 15000) {
+    if (this.monitorTimer) return;
+
+    this.monitorTimer = setInterval(async () => {
+      for (const symbol of this.activeStrategies.keys()) {
+        await this.runMonitorTick(symbol);
+      }
+      await this.heartbeatRuns();
+    }, intervalMs);
+  }
+
+  // Evaluate one run under the user's execution lock so a manual /start or /stop
+  // (here or on another instance) never races the scheduled tick
+  async runMonitorTick(symbol) {
+    // Repeated exchange failures pause the account until the circuit breaker's cooldown ends
+    if (this.guard.isPaused()) return;
+
+    if (!this.userId) {
+      return this.evaluateStrategy(symbol);
+    }
+
+    try {
+      await lockService.withUserLock(this.userId, () => this.evaluateStrategy(symbol), { waitMs: 0 });
+    } catch (error) {
+      if (error instanceof LockBusyError) return; // Picked up again on the next tick
+      console.error(`❌ Monitor tick failed for ${symbol}:`, error.message);
+    }
+  }
+
+  // Tell other instances these runs are still being managed here
+  async heartbeatRuns() {
+    if (!this.userId) return;
+
+    const runIds = [...this.activeStrategies.values()].map(state => state.runId).filter(Boolean);
+    if (runIds.length === 0) return;
+
+    try {
+      await StrategyRun.updateMany(
+        { _id: { $in: runIds }, status: 'active' },
+        { instanceId: lockService.instanceId, heartbeatAt: new Date() }
+      );
+    } catch (error) {
+      console.error('❌ Failed to update strategy run heartbeat:', error.message);
+    }
+  }
+
+  stopMonitoring() {
+    if (this.monitorTimer) {
+      clearInterval(this.monitorTimer);
+      this.monitorTimer = null;
+    }
+  }
+
   // Risk management - Emergency stop
-  async emergencyStop() {
+  async emergencyStop(stopReason = 'stopped_by_user') {
     try {
       console.log('🚨 EMERGENCY STOP ACTIVATED - CLOSING ALL LIVE POSITIONS');
-      await this.stopAllStrategies();
+      await this.stopAllStrategies(stopReason);
       return { success: true, message: 'Emergency stop completed - All live positions closed' };
     } catch (error) {
       console.error('❌ Emergency stop failed:', error);
@@ -345,7 +1701,13 @@ class ExchangeService {
 
   // Check if trading is active
   isTrading() {
-    return this.tradingActive && this.activeStrategies.size > 0;
+    return this.hasActiveRuns();
+  }
+
+  // Transition log for a running strategy
+  getStrategyHistory(symbol) {
+    const state = this.activeStrategies.get(symbol);
+    return state ? state.history : [];
   }
 
   getConnectedExchange() {
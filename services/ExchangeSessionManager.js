@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const ExchangeService = require('./ExchangeService');
+
+// Sessions unused for this long are disconnected (unless a strategy is running)
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+class ExchangeSessionManager {
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.pending = new Map();
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.sweepInterval = options.sweepInterval || DEFAULT_SWEEP_INTERVAL;
+    this.sweepTimer = null;
+  }
+
+  // One session per user per exchange
+  getSessionKey(userId, exchangeName) {
+    return `${userId.toString()}:${exchangeName.toLowerCase()}`;
+  }
+
+  // Fingerprint of the credentials so a key rotation forces a reconnect
+  getCredentialsHash(trading) {
+    return crypto
+      .createHash('sha256')
+      .update(`${trading.apiKey}:${trading.apiSecret}:${trading.passphrase || ''}`)
+      .digest('hex');
+  }
+
+  // Paper accounts are connected without API keys
+  isExchangeConnected(user) {
+    return !!user.trading.connected && (user.trading.exchange === 'paper' || !!user.trading.apiKey);
+  }
+
+  // Get (or create) the isolated ExchangeService for a user
+  async getSession(user) {
+    const { exchange, apiKey, apiSecret, passphrase } = user.trading;
+    const key = this.getSessionKey(user._id, exchange);
+    const credentialsHash = this.getCredentialsHash(user.trading);
+
+    const existing = this.sessions.get(key);
+    if (existing && existing.credentialsHash === credentialsHash && existing.service.isConnected) {
+      existing.lastUsed = Date.now();
+      return existing.service;
+    }
+
+    // Concurrent requests for the same user share one connection attempt
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const connecting = (async () => {
+      const service = existing && existing.credentialsHash === credentialsHash
+        ? existing.service
+        : new ExchangeService({ userId: user._id.toString() });
+
+      await service.connect(apiKey, apiSecret, exchange, passphrase);
+
+      this.sessions.set(key, {
+        service,
+        userId: user._id.toString(),
+        exchange,
+        credentialsHash,
+        createdAt: Date.now(),
+        lastUsed: Date.now()
+      });
+
+      console.log(`🔐 Exchange session ready for user ${user._id} on ${exchange}`);
+      return service;
+    })();
+
+    this.pending.set(key, connecting);
+    try {
+      return await connecting;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  // Return a cached session without connecting
+  peekSession(userId, exchangeName) {
+    if (!userId || !exchangeName) return null;
+    const session = this.sessions.get(this.getSessionKey(userId, exchangeName));
+    return session ? session.service : null;
+  }
+
+  // Whether any of the user's sessions still has strategies running
+  isUserTrading(userId) {
+    const prefix = `${userId.toString()}:`;
+    for (const [key, session] of this.sessions) {
+      if (key.startsWith(prefix) && session.service.isTrading()) return true;
+    }
+    return false;
+  }
+
+  // Drop a user's session(s), e.g. after new API keys were saved. Callers stop running
+  // strategies first; the monitor timer is cleared so nothing keeps trading on old keys.
+  removeSession(userId, exchangeName = null) {
+    const prefix = `${userId.toString()}:`;
+    for (const [key, session] of this.sessions) {
+      if (!key.startsWith(prefix)) continue;
+      if (exchangeName && session.exchange !== exchangeName.toLowerCase()) continue;
+      session.service.stopMonitoring();
+      this.sessions.delete(key);
+    }
+  }
+
+  // Disconnect sessions that have been idle and have nothing running
+  evictIdleSessions() {
+    const now = Date.now();
+    let evicted = 0;
+
+    for (const [key, session] of this.sessions) {
+      if (session.service.isTrading()) continue;
+      if (now - session.lastUsed < this.idleTimeout) continue;
+
+      session.service.stopMonitoring();
+      this.sessions.delete(key);
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} idle exchange session(s)`);
+    }
+    return evicted;
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.evictIdleSessions(), this.sweepInterval);
+    // Don't keep the process alive just for the sweeper
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  getSessionCount() {
+    return this.sessions.size;
+  }
+}
+
+// Shared instance used by the routes
+const sessionManager = new ExchangeSessionManager();
+sessionManager.startSweeper();
+
+module.exports = ExchangeSessionManager;
+module.exports.sessionManager = sessionManager;
@@ -0,0 +1,150 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+
+const DEFAULT_LOCK_TTL = 60 * 1000; // 1 minute
+const RETRY_DELAY = 250;
+
+class LockBusyError extends Error {
+  constructor(name) {
+    super(`${name} is busy - try again in a moment`);
+    this.name = 'LockBusyError';
+    this.lockName = name;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// MongoDB lease locks so several replicas of the server never act on the same thing at once.
+// A lease expires on its own if the holder dies, letting another instance take over.
+class LockService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.leaderTimer = null;
+    this.leader = false;
+  }
+
+  // Owner token for one acquisition, so two callers in this process can't share a lock
+  createOwnerToken() {
+    return `${this.instanceId}:${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  // Take (or renew) a lease for `owner`. Returns true if `owner` now holds it.
+  async acquire(name, ttlMs = DEFAULT_LOCK_TTL, owner = this.instanceId) {
+    const now = new Date();
+
+    try {
+      const lock = await Lock.findOneAndUpdate(
+        { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+        { owner, expiresAt: new Date(now.getTime() + ttlMs), $setOnInsert: { acquiredAt: now } },
+        { upsert: true, new: true }
+      );
+      return lock.owner === owner;
+    } catch (error) {
+      // Someone else holds an unexpired lease - the upsert collides with their document
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  // Extend a lease `owner` still holds. Returns false if it was lost.
+  async renew(name, ttlMs, owner) {
+    const result = await Lock.updateOne(
+      { _id: name, owner },
+      { expiresAt: new Date(Date.now() + ttlMs) }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async release(name, owner = this.instanceId) {
+    await Lock.deleteOne({ _id: name, owner });
+  }
+
+  // Run `fn` while holding the lock. Waits up to `waitMs` for it, then throws LockBusyError.
+  // The lease is renewed while `fn` runs, so a slow exchange call doesn't let it expire.
+  async withLock(name, fn, { ttlMs = DEFAULT_LOCK_TTL, waitMs = 10000 } = {}) {
+    const owner = this.createOwnerToken();
+    const deadline = Date.now() + waitMs;
+
+    while (!(await this.acquire(name, ttlMs, owner))) {
+      if (Date.now() >= deadline) {
+        throw new LockBusyError(name);
+      }
+      await sleep(RETRY_DELAY);
+    }
+
+    const renewTimer = setInterval(() => {
+      this.renew(name, ttlMs, owner)
+        .then(held => {
+          if (!held) console.error(`⚠️ Lost lock ${name} while still holding it`);
+        })
+        .catch(error => console.error(`❌ Failed to renew lock ${name}:`, error.message));
+    }, Math.floor(ttlMs / 3));
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewTimer);
+      await this.release(name, owner).catch(error => {
+        console.error(`❌ Failed to release lock ${name}:`, error.message);
+      });
+    }
+  }
+
+  // Serialise everything that trades for one user across instances
+  withUserLock(userId, fn, options = {}) {
+    return this.withLock(`user:${userId.toString()}`, fn, options);
+  }
+
+  // ===== Leader election =====
+
+  // Keep trying to hold the named lease; renew it while we have it
+  startLeaderElection(name, { ttlMs = 30000, onElected = null, onDemoted = null } = {}) {
+    if (this.leaderTimer) return;
+
+    const campaign = async () => {
+      try {
+        const isLeader = await this.acquire(name, ttlMs);
+        if (isLeader && !this.leader) {
+          this.leader = true;
+          console.log(`👑 ${this.instanceId} is now the ${name} leader`);
+          if (onElected) await onElected();
+        } else if (!isLeader && this.leader) {
+          this.leader = false;
+          console.log(`⚠️ ${this.instanceId} lost the ${name} lease`);
+          if (onDemoted) await onDemoted();
+        }
+      } catch (error) {
+        // Can't prove we still hold the lease - stop acting as leader until we can
+        console.error(`❌ Leader election for ${name} failed:`, error.message);
+        if (this.leader) {
+          this.leader = false;
+          if (onDemoted) await onDemoted();
+        }
+      }
+    };
+
+    // Renew well inside the lease so a slow tick doesn't lose it
+    this.leaderTimer = setInterval(campaign, Math.floor(ttlMs / 3));
+    return campaign();
+  }
+
+  async stopLeaderElection(name) {
+    if (this.leaderTimer) {
+      clearInterval(this.leaderTimer);
+      this.leaderTimer = null;
+    }
+    if (this.leader) {
+      this.leader = false;
+      await this.release(name);
+    }
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+}
+
+module.exports = LockService;
+module.exports.LockBusyError = LockBusyError;
+module.exports.lockService = new LockService();
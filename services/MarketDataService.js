@@ -0,0 +1,308 @@
+const ccxt = require('ccxt');
+const Candle = require('../models/Candle');
+
+const MARKETS_TTL = 60 * 60 * 1000; // Market definitions barely change - reload hourly
+const TICKER_TTL = 10 * 1000;
+const CANDLE_TTL = 60 * 1000;
+const TICKER_POLL_INTERVAL = 10 * 1000;
+const CANDLE_POLL_INTERVAL = 60 * 1000;
+// Symbols nobody asked about for this long drop out of the polling loop
+const ACTIVE_WINDOW = 5 * 60 * 1000;
+const MAX_CANDLES = 1000;
+
+// Shared, cached market data so sessions, strategies and the dashboard stop spending the
+// exchange rate limit on the same public calls. Every method takes either an exchange
+// instance (a user's session) or an exchange id (served by a key-less public client).
+// Paper exchanges are local and bypass the cache; their live prices come through here
+// via TickerPriceSource.
+class MarketDataService {
+  constructor() {
+    this.markets = new Map(); // exchangeId -> { markets, currencies, loadedAt }
+    this.leverageTiers = new Map(); // exchangeId|symbol -> { tiers, loadedAt }
+    this.marketsApplied = new WeakMap(); // Exchange instance -> loadedAt of the markets it holds
+    this.tickers = new Map(); // exchangeId|symbol -> { ticker, fetchedAt }
+    this.candles = new Map(); // exchangeId|symbol|timeframe -> { candles, fetchedAt, limit }
+    this.pending = new Map(); // In-flight requests, so concurrent callers share one call
+    this.active = new Map(); // Polling targets -> last time someone asked for them
+    this.publicClients = new Map();
+    this.timers = [];
+  }
+
+  // ===== Polling =====
+
+  start() {
+    if (this.timers.length > 0) return;
+
+    this.timers.push(setInterval(() => {
+      this.pollTickers().catch(error => console.error('❌ Ticker polling failed:', error.message));
+    }, TICKER_POLL_INTERVAL));
+    this.timers.push(setInterval(() => {
+      this.pollCandles().catch(error => console.error('❌ Candle polling failed:', error.message));
+    }, CANDLE_POLL_INTERVAL));
+
+    console.log('✅ Market data polling started');
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Refresh the tickers of every recently requested symbol, one batch call per exchange
+  async pollTickers() {
+    const symbolsByExchange = new Map();
+    for (const target of this.getActiveTargets('ticker')) {
+      if (!symbolsByExchange.has(target.exchangeId)) symbolsByExchange.set(target.exchangeId, []);
+      symbolsByExchange.get(target.exchangeId).push(target.symbol);
+    }
+
+    for (const [exchangeId, symbols] of symbolsByExchange) {
+      const client = this.getPublicClient(exchangeId);
+      try {
+        await this.loadMarkets(client);
+        const tickers = client.has.fetchTickers
+          ? await client.fetchTickers(symbols)
+          : Object.fromEntries(await Promise.all(symbols.map(async symbol => [symbol, await client.fetchTicker(symbol)])));
+
+        for (const symbol of symbols) {
+          if (tickers[symbol]) this.setTicker(exchangeId, symbol, tickers[symbol]);
+        }
+      } catch (error) {
+        console.error(`⚠️ Could not poll ${exchangeId} tickers:`, error.message);
+      }
+    }
+  }
+
+  async pollCandles() {
+    for (const target of this.getActiveTargets('candles')) {
+      try {
+        await this.refreshCandles(this.getPublicClient(target.exchangeId), target.symbol, target.timeframe, target.limit);
+      } catch (error) {
+        console.error(`⚠️ Could not poll ${target.symbol} ${target.timeframe} candles on ${target.exchangeId}:`, error.message);
+      }
+    }
+  }
+
+  markActive(key, target) {
+    this.active.set(key, { ...target, requestedAt: Date.now() });
+  }
+
+  getActiveTargets(type) {
+    const cutoff = Date.now() - ACTIVE_WINDOW;
+    const targets = [];
+    for (const [key, target] of this.active) {
+      if (target.requestedAt < cutoff) {
+        this.active.delete(key);
+      } else if (target.type === type) {
+        targets.push(target);
+      }
+    }
+    return targets;
+  }
+
+  // ===== Exchanges =====
+
+  // Only real ccxt exchanges are cached; the paper exchange is local and stateful
+  isShared(exchange) {
+    return exchange.id !== 'paper' && ccxt.exchanges.includes(exchange.id);
+  }
+
+  // Key-less client for public endpoints (tickers, candles, markets)
+  getPublicClient(exchangeId) {
+    if (!ccxt.exchanges.includes(exchangeId)) {
+      throw new Error(`Unsupported exchange: ${exchangeId}`);
+    }
+
+    if (!this.publicClients.has(exchangeId)) {
+      this.publicClients.set(exchangeId, new ccxt[exchangeId]({
+        enableRateLimit: true,
+        options: { defaultType: 'swap' }
+      }));
+    }
+    return this.publicClients.get(exchangeId);
+  }
+
+  resolveExchange(exchange) {
+    return typeof exchange === 'string' ? this.getPublicClient(exchange) : exchange;
+  }
+
+  // Run `fn` once for concurrent callers asking for the same thing
+  async dedupe(key, fn) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = Promise.resolve().then(fn).finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // ===== Markets =====
+
+  // loadMarkets once per exchange (per hour) and hand the result to every other instance
+  async loadMarkets(exchange) {
+    exchange = this.resolveExchange(exchange);
+    if (!this.isShared(exchange)) return exchange.loadMarkets();
+
+    let cached = this.markets.get(exchange.id);
+    if (!cached || Date.now() - cached.loadedAt >= MARKETS_TTL) {
+      cached = await this.dedupe(`markets|${exchange.id}`, async () => {
+        const markets = await exchange.loadMarkets(true);
+        const entry = { markets, currencies: exchange.currencies, loadedAt: Date.now() };
+        this.markets.set(exchange.id, entry);
+        this.marketsApplied.set(exchange, entry.loadedAt);
+        return entry;
+      });
+    }
+
+    if (this.marketsApplied.get(exchange) !== cached.loadedAt) {
+      exchange.setMarkets(cached.markets, cached.currencies);
+      this.marketsApplied.set(exchange, cached.loadedAt);
+    }
+    return exchange.markets;
+  }
+
+  // Maintenance margin tiers of a market (ccxt leverage tiers), or null when the exchange
+  // doesn't publish them. Some exchanges only serve them on a signed endpoint, so this takes
+  // the user's instance; the tiers themselves are the same for everyone and cached like markets.
+  async getLeverageTiers(exchange, symbol) {
+    exchange = this.resolveExchange(exchange);
+    if (typeof exchange.fetchMarketLeverageTiers !== 'function' || (exchange.has && !exchange.has.fetchMarketLeverageTiers)) {
+      return null;
+    }
+    if (!this.isShared(exchange)) return exchange.fetchMarketLeverageTiers(symbol);
+
+    const key = `${exchange.id}|${symbol}`;
+    const cached = this.leverageTiers.get(key);
+    if (cached && Date.now() - cached.loadedAt < MARKETS_TTL) {
+      return cached.tiers;
+    }
+
+    return this.dedupe(`tiers|${key}`, async () => {
+      const tiers = await exchange.fetchMarketLeverageTiers(symbol);
+      this.leverageTiers.set(key, { tiers, loadedAt: Date.now() });
+      return tiers;
+    });
+  }
+
+  // ===== Tickers =====
+
+  setTicker(exchangeId, symbol, ticker) {
+    this.tickers.set(`${exchangeId}|${symbol}`, { ticker, fetchedAt: Date.now() });
+  }
+
+  // Last polled ticker without touching the exchange (null if never fetched)
+  getCachedTicker(exchangeId, symbol) {
+    const cached = this.tickers.get(`${exchangeId}|${symbol}`);
+    return cached ? cached.ticker : null;
+  }
+
+  async getTicker(exchange, symbol, { maxAgeMs = TICKER_TTL } = {}) {
+    exchange = this.resolveExchange(exchange);
+    if (!this.isShared(exchange)) return exchange.fetchTicker(symbol);
+
+    const key = `${exchange.id}|${symbol}`;
+    this.markActive(`ticker|${key}`, { type: 'ticker', exchangeId: exchange.id, symbol });
+
+    const cached = this.tickers.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= maxAgeMs) {
+      return cached.ticker;
+    }
+
+    return this.dedupe(`ticker|${key}`, async () => {
+      const ticker = await exchange.fetchTicker(symbol);
+      this.setTicker(exchange.id, symbol, ticker);
+      return ticker;
+    });
+  }
+
+  async getPrice(exchange, symbol, options) {
+    const ticker = await this.getTicker(exchange, symbol, options);
+    return ticker.last || ticker.close;
+  }
+
+  // ===== Candles =====
+
+  // Recent candles, oldest first, as ccxt OHLCV rows
+  async getCandles(exchange, symbol, timeframe = '1h', limit = 200) {
+    exchange = this.resolveExchange(exchange);
+    if (!this.isShared(exchange)) return exchange.fetchOHLCV(symbol, timeframe, undefined, limit);
+
+    const key = `${exchange.id}|${symbol}|${timeframe}`;
+    const cached = this.candles.get(key);
+    const limitSeen = Math.max(limit, cached ? cached.limit : 0);
+    this.markActive(`candles|${key}`, { type: 'candles', exchangeId: exchange.id, symbol, timeframe, limit: limitSeen });
+
+    if (cached && cached.candles.length >= limit && Date.now() - cached.fetchedAt <= CANDLE_TTL) {
+      return cached.candles.slice(-limit);
+    }
+
+    const candles = await this.refreshCandles(exchange, symbol, timeframe, limitSeen);
+    return candles.slice(-limit);
+  }
+
+  getCachedCandles(exchangeId, symbol, timeframe = '1h', limit = 200) {
+    const cached = this.candles.get(`${exchangeId}|${symbol}|${timeframe}`);
+    return cached ? cached.candles.slice(-limit) : [];
+  }
+
+  // Fetch only what's missing since the newest candle we have (memory, then database)
+  async refreshCandles(exchange, symbol, timeframe, limit) {
+    const key = `${exchange.id}|${symbol}|${timeframe}`;
+
+    return this.dedupe(`candles|${key}`, async () => {
+      let known = this.candles.get(key)?.candles || [];
+      if (known.length < limit) {
+        known = mergeCandles(known, await this.loadStoredCandles(exchange.id, symbol, timeframe, limit));
+      }
+
+      // Re-fetch the newest known candle too - it was probably still forming
+      const enough = known.length >= limit;
+      const since = enough ? known[known.length - 1][0] : undefined;
+      const fetched = await exchange.fetchOHLCV(symbol, timeframe, since, enough ? undefined : limit);
+
+      const candles = mergeCandles(known, fetched).slice(-Math.max(limit, MAX_CANDLES));
+      this.candles.set(key, { candles, fetchedAt: Date.now(), limit });
+      await this.storeCandles(exchange.id, symbol, timeframe, fetched);
+      return candles;
+    });
+  }
+
+  async loadStoredCandles(exchangeId, symbol, timeframe, limit) {
+    try {
+      const stored = await Candle.find({ exchange: exchangeId, symbol, timeframe })
+        .sort({ timestamp: -1 })
+        .limit(limit);
+      return stored.reverse().map(candle => candle.toOHLCV());
+    } catch (error) {
+      console.error(`⚠️ Could not load stored ${symbol} candles:`, error.message);
+      return [];
+    }
+  }
+
+  async storeCandles(exchangeId, symbol, timeframe, candles) {
+    if (candles.length === 0) return;
+
+    try {
+      await Candle.bulkWrite(candles.map(([timestamp, open, high, low, close, volume]) => ({
+        updateOne: {
+          filter: { exchange: exchangeId, symbol, timeframe, timestamp: new Date(timestamp) },
+          update: { open, high, low, close, volume },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      console.error(`⚠️ Could not store ${symbol} candles:`, error.message);
+    }
+  }
+}
+
+// Union of two OHLCV lists by open time; rows in `newer` win
+function mergeCandles(older, newer) {
+  const byTime = new Map();
+  for (const candle of older) byTime.set(candle[0], candle);
+  for (const candle of newer) byTime.set(candle[0], candle);
+  return [...byTime.values()].sort((a, b) => a[0] - b[0]);
+}
+
+module.exports = MarketDataService;
+module.exports.mergeCandles = mergeCandles;
+module.exports.marketData = new MarketDataService();
@@ -0,0 +1,292 @@
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const pnl = require('../utils/pnl');
+const { realtime } = require('./RealtimeService');
+const { marketData } = require('./MarketDataService');
+const { lockService } = require('./LockService');
+
+// Orders the exchange still can't find after this long are marked failed
+const ORDER_LOOKUP_GRACE = 60 * 60 * 1000; // 1 hour
+// Fill quantities within this fraction of the DB value are treated as equal
+const QUANTITY_TOLERANCE = 0.01;
+// How long to wait for a user's trading lock before leaving them to the next pass
+const USER_LOCK_WAIT = 5000;
+
+// ccxt order status -> Trade status
+function mapOrderStatus(order) {
+  const filled = order.filled || 0;
+  switch (order.status) {
+    case 'closed':
+      return filled > 0 ? 'filled' : 'failed';
+    case 'canceled':
+    case 'cancelled':
+    case 'expired':
+      return filled > 0 ? 'filled' : 'cancelled';
+    case 'rejected':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+}
+
+// Brings Trade documents in line with what actually happened on the exchange:
+// fill status, average price, fees and timestamps of entries, and exits once positions are flat.
+// The trading engine schedules runOnce on the leader instance.
+class OrderReconciler {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.running = false;
+  }
+
+  // Reconcile every user with pending or still-open trades
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const userIds = await Trade.distinct('userId', {
+        $or: [{ status: 'pending' }, { status: 'filled', closedAt: null }]
+      });
+
+      const summary = { users: 0, updated: 0, closed: 0, discrepancies: 0, busy: 0 };
+      for (const userId of userIds) {
+        try {
+          // Closing trades and repairing positions mustn't interleave with a tick or a
+          // user action placing orders for the same account
+          const result = await lockService.withUserLock(userId, () => this.reconcileUser(userId), { waitMs: USER_LOCK_WAIT });
+          if (!result) continue;
+          summary.users++;
+          summary.updated += result.updated;
+          summary.closed += result.closed;
+          summary.discrepancies += result.discrepancies;
+        } catch (error) {
+          if (error.name === 'LockBusyError') {
+            summary.busy++;
+            continue;
+          }
+          console.error(`❌ Reconciliation failed for user ${userId}:`, error.message);
+        }
+      }
+
+      if (summary.updated || summary.closed || summary.discrepancies) {
+        console.log(`🔄 Reconciled ${summary.users} users: ${summary.updated} trades updated, ${summary.closed} closed, ${summary.discrepancies} discrepancies`);
+      }
+      if (summary.busy) {
+        console.log(`⏳ Skipped ${summary.busy} users with a trading action in progress - retrying next pass`);
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Exchange session to reconcile with, or null if the user can't be reached
+  async getExchangeService(user) {
+    const { exchange, connected, apiKey } = user.trading;
+    if (!exchange || !connected) return null;
+
+    // A paper account only exists inside its live session
+    if (exchange === 'paper') {
+      return this.sessionManager.peekSession(user._id, exchange);
+    }
+    if (!apiKey) return null;
+
+    return this.sessionManager.getSession(user);
+  }
+
+  async reconcileUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const exchangeService = await this.getExchangeService(user);
+    if (!exchangeService || !exchangeService.exchange) return null;
+
+    const exchange = exchangeService.exchange;
+    const trades = await Trade.find({
+      userId,
+      exchange: exchange.id,
+      $or: [{ status: 'pending' }, { status: 'filled', closedAt: null }]
+    }).sort({ timestamp: 1 });
+
+    const result = { updated: 0, closed: 0, discrepancies: 0 };
+    const tradesBySymbol = new Map();
+    for (const trade of trades) {
+      if (!tradesBySymbol.has(trade.symbol)) tradesBySymbol.set(trade.symbol, []);
+      tradesBySymbol.get(trade.symbol).push(trade);
+    }
+
+    for (const [symbol, symbolTrades] of tradesBySymbol) {
+      const since = symbolTrades[0].timestamp.getTime() - 60 * 1000;
+      const fills = await this.fetchFills(exchangeService, symbol, since);
+
+      for (const trade of symbolTrades.filter(t => t.status === 'pending')) {
+        const changes = await this.reconcileEntry(exchangeService, trade, fills);
+        if (changes.updated) result.updated++;
+        result.discrepancies += changes.discrepancies;
+      }
+
+      const positionResult = await this.reconcilePosition(exchangeService, symbol, symbolTrades, fills);
+      result.closed += positionResult.closed;
+      result.discrepancies += positionResult.discrepancies;
+    }
+
+    return result;
+  }
+
+  // Not every exchange serves fill history - order lookups still work without it
+  async fetchFills(exchangeService, symbol, since) {
+    const exchange = exchangeService.exchange;
+    if (exchange.has && exchange.has.fetchMyTrades === false) return [];
+
+    try {
+      return await exchangeService.request('fetchMyTrades', () => exchange.fetchMyTrades(symbol, since));
+    } catch (error) {
+      console.error(`⚠️ Could not fetch fills for ${symbol}:`, error.message);
+      return [];
+    }
+  }
+
+  // Confirm a pending entry order: status, average fill price, fees, fill time
+  async reconcileEntry(exchangeService, trade, fills) {
+    const exchange = exchangeService.exchange;
+    const changes = { updated: false, discrepancies: 0 };
+    let order = null;
+
+    if (trade.orderId) {
+      try {
+        order = await exchangeService.request('fetchOrder', () => exchange.fetchOrder(trade.orderId, trade.symbol));
+      } catch (error) {
+        if (error.name !== 'OrderNotFound') throw error;
+      }
+    } else if (trade.clientOrderId) {
+      // The order's response never came back - find it by the id we sent with it
+      order = await exchangeService.findOrderByClientId(trade.symbol, trade.clientOrderId, trade.timestamp.getTime() - 60 * 1000);
+      if (order) trade.orderId = order.id;
+    }
+
+    const orderFills = fills.filter(fill => fill.order === trade.orderId);
+    const fillSummary = pnl.summarizeFills(orderFills);
+
+    if (!order && !fillSummary) {
+      // Give the exchange time to index the order before calling it lost
+      if (Date.now() - trade.timestamp.getTime() > ORDER_LOOKUP_GRACE) {
+        trade.status = 'failed';
+        if (trade.flagDiscrepancy('order_not_found', trade.orderId || trade.clientOrderId, null)) changes.discrepancies++;
+        trade.reconciledAt = new Date();
+        await trade.save();
+        changes.updated = true;
+      }
+      return changes;
+    }
+
+    const status = order ? mapOrderStatus(order) : 'filled';
+    const filledQuantity = fillSummary ? fillSummary.amount : order.filled;
+    const averagePrice = fillSummary ? fillSummary.price : (order.average || order.price);
+
+    trade.status = status;
+    trade.filledQuantity = filledQuantity || 0;
+
+    if (averagePrice) {
+      trade.price = averagePrice;
+      trade.entryPrice = averagePrice;
+    }
+
+    if (fillSummary) {
+      trade.fees = fillSummary.fees;
+      trade.filledAt = new Date(fillSummary.firstTimestamp);
+    } else if (order) {
+      trade.fees = order.fee?.cost || trade.fees;
+      if (status === 'filled') {
+        trade.filledAt = new Date(order.lastTradeTimestamp || order.timestamp || Date.now());
+      }
+    }
+
+    // The amount we asked for vs what the exchange actually filled
+    if (status === 'filled' && Math.abs(trade.filledQuantity - trade.quantity) > trade.quantity * QUANTITY_TOLERANCE) {
+      if (trade.flagDiscrepancy('partial_fill', trade.quantity, trade.filledQuantity)) changes.discrepancies++;
+    }
+
+    trade.reconciledAt = new Date();
+    await trade.save();
+    changes.updated = true;
+
+    // Market orders normally report their fill straight away; this one only showed up now
+    if (status === 'filled') {
+      realtime.emitToUser(trade.userId, 'order:filled', {
+        runId: trade.runId ? trade.runId.toString() : null,
+        orderId: trade.orderId,
+        symbol: trade.symbol,
+        side: trade.side,
+        type: 'entry',
+        level: trade.martingaleLevel + 1,
+        amount: trade.quantity,
+        filled: trade.filledQuantity,
+        price: trade.entryPrice,
+        exchange: exchange.id
+      });
+    }
+    return changes;
+  }
+
+  // Close out filled entries once the position is flat, and compare open size with the exchange
+  async reconcilePosition(exchangeService, symbol, trades, fills) {
+    const exchange = exchangeService.exchange;
+    const result = { closed: 0, discrepancies: 0 };
+    const openTrades = trades.filter(t => t.status === 'filled' && !t.closedAt);
+    if (openTrades.length === 0) return result;
+
+    const positions = await exchangeService.request('fetchPositions', () => exchange.fetchPositions([symbol]));
+    const position = positions.find(p => p.symbol === symbol && p.contracts > 0);
+    const dbQuantity = openTrades.reduce((sum, t) => sum + t.getQuantity(), 0);
+
+    if (position) {
+      const exchangeQuantity = position.contracts;
+      if (Math.abs(exchangeQuantity - dbQuantity) > dbQuantity * QUANTITY_TOLERANCE) {
+        const latest = openTrades[openTrades.length - 1];
+        if (latest.flagDiscrepancy('position_size_mismatch', dbQuantity, exchangeQuantity)) {
+          result.discrepancies++;
+          console.log(`⚠️ ${symbol} position is ${exchangeQuantity} on ${exchange.id} but trades add up to ${dbQuantity}`);
+        }
+        latest.reconciledAt = new Date();
+        await latest.save();
+      }
+      return result;
+    }
+
+    // Flat - the exit is the opposite-side fills after the last entry that aren't entries themselves
+    const entryOrderIds = new Set(trades.map(t => t.orderId));
+    const lastEntryTime = Math.max(...openTrades.map(t => (t.filledAt || t.timestamp).getTime()));
+    const closeSide = openTrades[0].side === 'buy' ? 'sell' : 'buy';
+    const exitSummary = pnl.summarizeFills(fills.filter(fill =>
+      fill.side === closeSide && fill.timestamp >= lastEntryTime && !entryOrderIds.has(fill.order)
+    ));
+
+    let exitPrice = exitSummary ? exitSummary.price : null;
+    if (!exitPrice) {
+      exitPrice = await marketData.getPrice(exchange, symbol);
+    }
+
+    // Books realized PnL and user stats, skipping trades the engine closed in the meantime
+    const closeResult = await Trade.closeOpenTrades(openTrades[0].userId, symbol, {
+      exchange: exchange.id,
+      exitPrice,
+      fees: exitSummary ? exitSummary.fees : 0,
+      funding: await exchangeService.getFundingSince(symbol, openTrades[0].timestamp.getTime()),
+      closedAt: exitSummary ? new Date(exitSummary.lastTimestamp) : new Date()
+    });
+    result.closed = closeResult.closed;
+
+    for (const trade of closeResult.trades) {
+      if (!exitSummary && trade.flagDiscrepancy('exit_fill_missing', 'closing fill', null)) {
+        result.discrepancies++;
+      }
+      trade.reconciledAt = new Date();
+      await trade.save();
+    }
+
+    return result;
+  }
+}
+
+module.exports = OrderReconciler;
+module.exports.mapOrderStatus = mapOrderStatus;
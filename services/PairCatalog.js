@@ -0,0 +1,99 @@
+const { marketData } = require('./MarketDataService');
+
+const CATALOG_TTL = 60 * 60 * 1000; // Follows the hourly market reload
+const SETTLE_CURRENCY = 'USDT';
+
+// Exchanges a user can trade on, and the real exchange paper accounts take their markets from
+const SUPPORTED_EXCHANGES = ['binance', 'bybit', 'okx', 'bitget', 'paper'];
+
+// "BTC/USDT:USDT" (ccxt's linear perpetual) -> "BTC/USDT" (what users see and type)
+function toDisplaySymbol(symbol) {
+  return symbol ? symbol.split(':')[0] : symbol;
+}
+
+// True when two symbols name the same market, whichever form each is in
+function sameMarket(a, b) {
+  return !!a && !!b && toDisplaySymbol(a) === toDisplaySymbol(b);
+}
+
+// Exchange whose public markets and prices back an account (paper accounts use a real one)
+function getMarketExchange(exchangeId) {
+  return exchangeId === 'paper' ? (process.env.PAPER_PRICE_EXCHANGE || 'binance') : exchangeId;
+}
+
+// Active linear USDT perpetuals per exchange, built from loadMarkets. Runs, orders and
+// Trade records use the exchange symbol; the API accepts and shows the display symbol.
+class PairCatalog {
+  constructor() {
+    this.catalogs = new Map(); // exchangeId -> { pairs, bySymbol, builtAt }
+  }
+
+  isSupported(exchangeId) {
+    return SUPPORTED_EXCHANGES.includes(exchangeId);
+  }
+
+  async getPairs(exchangeId) {
+    return (await this.getCatalog(exchangeId)).pairs;
+  }
+
+  // Pair for a display or exchange symbol, or null if it isn't a tradable perpetual
+  async resolve(exchangeId, symbol) {
+    if (!symbol) return null;
+    const catalog = await this.getCatalog(exchangeId);
+    return catalog.bySymbol.get(toDisplaySymbol(symbol.trim().toUpperCase())) || null;
+  }
+
+  async getCatalog(exchangeId) {
+    if (!this.isSupported(exchangeId)) {
+      throw new Error(`Unsupported exchange: ${exchangeId}`);
+    }
+
+    const cached = this.catalogs.get(exchangeId);
+    if (cached && Date.now() - cached.builtAt < CATALOG_TTL) return cached;
+
+    const markets = await marketData.loadMarkets(getMarketExchange(exchangeId));
+    const pairs = Object.values(markets)
+      .filter(market => isTradablePerpetual(market))
+      .map(market => describeMarket(market))
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    const catalog = {
+      pairs,
+      bySymbol: new Map(pairs.map(pair => [pair.symbol, pair])),
+      builtAt: Date.now()
+    };
+    this.catalogs.set(exchangeId, catalog);
+    return catalog;
+  }
+}
+
+function isTradablePerpetual(market) {
+  return market.swap &&
+    market.linear &&
+    market.active !== false &&
+    market.quote === SETTLE_CURRENCY &&
+    market.settle === SETTLE_CURRENCY;
+}
+
+function describeMarket(market) {
+  const limits = market.limits || {};
+  return {
+    symbol: toDisplaySymbol(market.symbol),
+    exchangeSymbol: market.symbol,
+    base: market.base,
+    quote: market.quote,
+    contractSize: market.contractSize || 1,
+    maxLeverage: limits.leverage?.max ?? null,
+    minAmount: limits.amount?.min ?? null, // Contracts
+    minCost: limits.cost?.min ?? null, // USDT notional
+    amountPrecision: market.precision?.amount ?? null,
+    pricePrecision: market.precision?.price ?? null
+  };
+}
+
+module.exports = PairCatalog;
+module.exports.pairCatalog = new PairCatalog();
+module.exports.toDisplaySymbol = toDisplaySymbol;
+module.exports.sameMarket = sameMarket;
+module.exports.getMarketExchange = getMarketExchange;
+module.exports.SUPPORTED_EXCHANGES = SUPPORTED_EXCHANGES;
@@ -0,0 +1,521 @@
+const ccxt = require('ccxt');
+const pnl = require('../utils/pnl');
+const { DEFAULT_MAINTENANCE_MARGIN_RATE, liquidationPrice } = require('../utils/ladder');
+
+// Markets every paper session knows about up front (others are created on first use)
+const DEFAULT_SYMBOLS = [
+  'HYPE/USDT', 'BTC/USDT', 'ETH/USDT', 'BNB/USDT',
+  'SOL/USDT', 'ADA/USDT', 'XRP/USDT', 'DOGE/USDT',
+  'AVAX/USDT', 'LINK/USDT', 'DOT/USDT', 'UNI/USDT'
+];
+
+// Paper-trading stand-in for a ccxt futures exchange.
+// Exposes the subset of the ccxt API that ExchangeService uses, with a virtual USDT wallet,
+// isolated margin per position and taker fees. Fills are priced from a pluggable price source.
+class PaperExchange {
+  constructor(options = {}) {
+    if (!options.priceSource) {
+      throw new Error('PaperExchange requires a price source');
+    }
+
+    this.id = 'paper';
+    this.name = 'Paper Trading';
+    this.sandbox = true; // Never real money
+    this.priceSource = options.priceSource;
+    this.feeRate = options.feeRate ?? 0.0006; // 0.06% taker
+    this.maintenanceMarginRate = options.maintenanceMarginRate ?? DEFAULT_MAINTENANCE_MARGIN_RATE;
+    this.defaultLeverage = options.defaultLeverage || 25;
+    this.silent = options.silent || false; // Backtests replay thousands of candles
+
+    this.walletBalance = options.initialBalance ?? 10000;
+    this.leverage = {};
+    this.positions = new Map();
+    this.orders = new Map();
+    this.liquidations = [];
+    this.orderSequence = 0;
+
+    this.markets = {};
+    (options.symbols || DEFAULT_SYMBOLS).forEach(symbol => this.ensureMarket(symbol));
+  }
+
+  // ===== Markets =====
+
+  ensureMarket(symbol) {
+    if (!this.markets[symbol]) {
+      const [base, rest] = symbol.split('/');
+      const quote = (rest || 'USDT').split(':')[0];
+      this.markets[symbol] = {
+        id: symbol.replace(/[/:]/g, ''),
+        symbol,
+        base,
+        quote,
+        settle: quote,
+        type: 'swap',
+        swap: true,
+        linear: true,
+        contract: true,
+        active: true,
+        contractSize: 1,
+        precision: { amount: 0.0001, price: 0.01 },
+        limits: {
+          amount: { min: 0.0001, max: undefined },
+          cost: { min: 1, max: undefined },
+          leverage: { min: 1, max: 125 }
+        }
+      };
+    }
+    return this.markets[symbol];
+  }
+
+  async loadMarkets() {
+    return this.markets;
+  }
+
+  market(symbol) {
+    return this.ensureMarket(symbol);
+  }
+
+  // Truncate to the market's step size (precision is in ccxt's tick-size mode)
+  amountToPrecision(symbol, amount) {
+    return this.toStep(amount, this.ensureMarket(symbol).precision.amount, Math.floor);
+  }
+
+  priceToPrecision(symbol, price) {
+    return this.toStep(price, this.ensureMarket(symbol).precision.price, Math.round);
+  }
+
+  toStep(value, step, round) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return (round(value / step + 1e-9) * step).toFixed(decimals);
+  }
+
+  // One tier at the flat maintenance rate the simulated liquidations use
+  async fetchMarketLeverageTiers(symbol) {
+    const market = this.ensureMarket(symbol);
+    return [{
+      tier: 1,
+      symbol,
+      currency: market.quote,
+      minNotional: 0,
+      maxNotional: undefined,
+      maintenanceMarginRate: this.maintenanceMarginRate,
+      maxLeverage: market.limits.leverage.max
+    }];
+  }
+
+  async setLeverage(leverage, symbol) {
+    this.ensureMarket(symbol);
+    this.leverage[symbol] = leverage;
+    return { symbol, leverage };
+  }
+
+  // ===== Prices =====
+
+  async fetchTicker(symbol) {
+    const price = await this.priceSource.getPrice(symbol);
+    const timestamp = this.getTimestamp();
+    return {
+      symbol,
+      last: price,
+      close: price,
+      bid: price,
+      ask: price,
+      timestamp,
+      datetime: new Date(timestamp).toISOString()
+    };
+  }
+
+  async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 500) {
+    // Live paper sessions read the real exchange's candles
+    if (this.priceSource.fetchOHLCV) {
+      return this.priceSource.fetchOHLCV(symbol, timeframe, since, limit);
+    }
+    if (!this.priceSource.getHistory) {
+      throw new ccxt.NotSupported('The paper price source has no candle history');
+    }
+    return this.priceSource.getHistory(limit);
+  }
+
+  getTimestamp() {
+    return this.priceSource.getTimestamp ? this.priceSource.getTimestamp() : Date.now();
+  }
+
+  // ===== Account =====
+
+  getUnrealizedPnl(position, price) {
+    return pnl.unrealizedPnl({
+      side: position.side,
+      entryPrice: position.entryPrice,
+      markPrice: price,
+      quantity: position.contracts,
+      contractSize: position.contractSize
+    });
+  }
+
+  // Same formula the pre-trade ladder check projects with
+  getLiquidationPrice(position) {
+    return liquidationPrice({
+      side: position.side === 'long' ? 'buy' : 'sell',
+      entryPrice: position.entryPrice,
+      quantity: position.contracts * position.contractSize,
+      margin: position.margin,
+      maintenanceMarginRate: this.maintenanceMarginRate
+    });
+  }
+
+  getUsedMargin() {
+    let used = 0;
+    for (const position of this.positions.values()) {
+      used += position.margin;
+    }
+    return used;
+  }
+
+  async fetchBalance() {
+    await this.checkTriggers();
+    await this.checkLiquidations();
+
+    let unrealized = 0;
+    for (const [symbol, position] of this.positions) {
+      unrealized += this.getUnrealizedPnl(position, await this.priceSource.getPrice(symbol));
+    }
+
+    const used = this.getUsedMargin();
+    const total = this.walletBalance + unrealized;
+    const free = Math.max(0, this.walletBalance - used);
+
+    return {
+      USDT: { free, used, total },
+      free: { USDT: free },
+      used: { USDT: used },
+      total: { USDT: total },
+      info: { walletBalance: this.walletBalance, unrealizedPnl: unrealized }
+    };
+  }
+
+  async fetchPositions(symbols = undefined) {
+    await this.checkTriggers();
+    await this.checkLiquidations();
+
+    const result = [];
+    for (const [symbol, position] of this.positions) {
+      if (symbols && symbols.length > 0 && !symbols.includes(symbol)) continue;
+
+      const markPrice = await this.priceSource.getPrice(symbol);
+      const notional = position.contracts * position.contractSize * markPrice;
+      result.push({
+        symbol,
+        side: position.side,
+        contracts: position.contracts,
+        contractSize: position.contractSize,
+        entryPrice: position.entryPrice,
+        markPrice,
+        notional,
+        leverage: position.leverage,
+        marginMode: 'isolated',
+        initialMargin: position.margin,
+        collateral: position.margin,
+        unrealizedPnl: this.getUnrealizedPnl(position, markPrice),
+        liquidationPrice: this.getLiquidationPrice(position),
+        timestamp: position.timestamp
+      });
+    }
+    return result;
+  }
+
+  // ===== Orders =====
+
+  async createMarketOrder(symbol, side, amount, price = undefined, params = {}) {
+    return this.createOrder(symbol, 'market', side, amount, price, params);
+  }
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    params = params || {};
+    if (type !== 'market') {
+      throw new ccxt.NotSupported(`Paper exchange only supports market orders, got ${type}`);
+    }
+    if (!(amount > 0)) {
+      throw new ccxt.InvalidOrder(`Invalid order amount ${amount}`);
+    }
+
+    // Take-profit / stop-loss / trigger orders rest until the price reaches them
+    const triggerPrice = params.takeProfitPrice ?? params.stopLossPrice ?? params.triggerPrice;
+    if (triggerPrice !== undefined) {
+      return this.createTriggerOrder(symbol, side, amount, triggerPrice, params);
+    }
+
+    return this.fillMarketOrder(symbol, type, side, amount, await this.priceSource.getPrice(symbol), params);
+  }
+
+  async fillMarketOrder(symbol, type, side, amount, fillPrice, params = {}) {
+    const market = this.ensureMarket(symbol);
+    const quantity = amount * market.contractSize;
+    const fee = quantity * fillPrice * this.feeRate;
+    const position = this.positions.get(symbol);
+    const orderSide = side === 'buy' ? 'long' : 'short';
+
+    const reducing = position && position.side !== orderSide;
+    if (params.reduceOnly && !reducing) {
+      throw new ccxt.InvalidOrder(`Reduce-only ${side} order would increase the ${symbol} position`);
+    }
+
+    let realizedPnl = 0;
+    let filled = amount;
+
+    if (reducing) {
+      // Reduce or close the existing position (no flipping in one-way mode)
+      filled = Math.min(amount, position.contracts);
+      const closedShare = filled / position.contracts;
+      const direction = position.side === 'long' ? 1 : -1;
+
+      realizedPnl = (fillPrice - position.entryPrice) * filled * market.contractSize * direction;
+      this.walletBalance += realizedPnl - fee * (filled / amount);
+
+      position.margin -= position.margin * closedShare;
+      position.contracts -= filled;
+      if (position.contracts <= 1e-12) {
+        this.positions.delete(symbol);
+      }
+    } else {
+      const leverage = this.leverage[symbol] || params.leverage || this.defaultLeverage;
+      const margin = (quantity * fillPrice) / leverage;
+      const available = this.walletBalance - this.getUsedMargin();
+
+      if (margin + fee > available) {
+        throw new ccxt.InsufficientFunds(
+          `Paper account has ${available.toFixed(2)} USDT available, order needs ${(margin + fee).toFixed(2)}`
+        );
+      }
+
+      this.walletBalance -= fee;
+
+      if (position) {
+        // Add to the position at the averaged entry
+        const totalContracts = position.contracts + amount;
+        position.entryPrice = (position.entryPrice * position.contracts + fillPrice * amount) / totalContracts;
+        position.contracts = totalContracts;
+        position.margin += margin;
+        position.leverage = leverage;
+      } else {
+        this.positions.set(symbol, {
+          side: orderSide,
+          contracts: amount,
+          contractSize: market.contractSize,
+          entryPrice: fillPrice,
+          margin,
+          leverage,
+          timestamp: this.getTimestamp()
+        });
+      }
+    }
+
+    return this.recordOrder({
+      symbol,
+      type,
+      side,
+      amount,
+      filled,
+      price: fillPrice,
+      fee: fee * (filled / amount),
+      realizedPnl,
+      reduceOnly: !!params.reduceOnly,
+      clientOrderId: params.clientOrderId
+    });
+  }
+
+  recordOrder({ symbol, type, side, amount, filled, price, fee, realizedPnl, reduceOnly, clientOrderId }) {
+    const timestamp = this.getTimestamp();
+    const order = {
+      id: `paper_${++this.orderSequence}`,
+      clientOrderId: clientOrderId || undefined,
+      symbol,
+      type,
+      side,
+      amount,
+      filled,
+      remaining: amount - filled,
+      price,
+      average: price,
+      cost: filled * price * this.ensureMarket(symbol).contractSize,
+      status: 'closed',
+      reduceOnly,
+      fee: { cost: fee, currency: 'USDT' },
+      info: { realizedPnl },
+      timestamp,
+      datetime: new Date(timestamp).toISOString()
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  async fetchOrder(id) {
+    const order = this.orders.get(id);
+    if (!order) {
+      throw new ccxt.OrderNotFound(`Paper order ${id} not found`);
+    }
+    return order;
+  }
+
+  // Filled, cancelled and triggered orders (lets the engine find an order by clientOrderId)
+  async fetchClosedOrders(symbol = undefined, since = undefined, limit = undefined) {
+    const orders = [...this.orders.values()]
+      .filter(order => order.status !== 'open')
+      .filter(order => !symbol || order.symbol === symbol)
+      .filter(order => since === undefined || order.timestamp >= since);
+
+    return limit ? orders.slice(-limit) : orders;
+  }
+
+  // Fills in ccxt's trade structure - one per filled market order
+  async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined) {
+    const trades = [...this.orders.values()]
+      // Triggered TP/SL orders fill through their own market order
+      .filter(order => order.filled > 0 && !order.info.fillOrderId)
+      .filter(order => !symbol || order.symbol === symbol)
+      .filter(order => since === undefined || order.timestamp >= since)
+      .map(order => ({
+        id: `${order.id}_fill`,
+        order: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.filled,
+        price: order.average,
+        cost: order.cost,
+        fee: order.fee,
+        takerOrMaker: 'taker',
+        timestamp: order.timestamp,
+        datetime: order.datetime
+      }));
+
+    return limit ? trades.slice(-limit) : trades;
+  }
+
+  // ===== Conditional orders =====
+
+  createTriggerOrder(symbol, side, amount, triggerPrice, params) {
+    this.ensureMarket(symbol);
+    const kind = params.takeProfitPrice !== undefined
+      ? 'take_profit'
+      : params.stopLossPrice !== undefined ? 'stop_loss' : 'trigger';
+
+    const timestamp = this.getTimestamp();
+    const order = {
+      id: `paper_${++this.orderSequence}`,
+      clientOrderId: params.clientOrderId || undefined,
+      symbol,
+      type: 'market',
+      side,
+      amount,
+      filled: 0,
+      remaining: amount,
+      price: undefined,
+      triggerPrice,
+      takeProfitPrice: kind === 'take_profit' ? triggerPrice : undefined,
+      stopLossPrice: kind === 'stop_loss' ? triggerPrice : undefined,
+      status: 'open',
+      reduceOnly: !!params.reduceOnly,
+      info: { kind },
+      timestamp,
+      datetime: new Date(timestamp).toISOString()
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    return [...this.orders.values()].filter(order =>
+      order.status === 'open' && (!symbol || order.symbol === symbol)
+    );
+  }
+
+  async cancelOrder(id, symbol = undefined) {
+    const order = this.orders.get(id);
+    if (!order || order.status !== 'open') {
+      throw new ccxt.OrderNotFound(`Paper order ${id} is not open`);
+    }
+    order.status = 'canceled';
+    return order;
+  }
+
+  // Whether the price path reached a trigger. Sell-side take-profits (closing a long)
+  // fire on the way up, sell-side stops on the way down - and the reverse for buys.
+  isTriggered(order, low, high) {
+    const kind = order.info.kind;
+    const firesAbove = (order.side === 'sell') === (kind === 'take_profit');
+    return firesAbove ? high >= order.triggerPrice : low <= order.triggerPrice;
+  }
+
+  async checkTriggers() {
+    for (const order of await this.fetchOpenOrders()) {
+      const candle = this.priceSource.getCandle ? this.priceSource.getCandle(order.symbol) : null;
+      const price = candle ? null : await this.priceSource.getPrice(order.symbol);
+      const low = candle ? candle.low : price;
+      const high = candle ? candle.high : price;
+
+      if (!this.isTriggered(order, low, high)) continue;
+
+      // Reduce-only orders are pointless once the position is gone
+      if (order.reduceOnly && !this.positions.has(order.symbol)) {
+        order.status = 'canceled';
+        continue;
+      }
+
+      try {
+        const fill = await this.fillMarketOrder(order.symbol, 'market', order.side, order.amount, order.triggerPrice, {
+          reduceOnly: order.reduceOnly
+        });
+        Object.assign(order, {
+          status: 'closed',
+          filled: fill.filled,
+          remaining: order.amount - fill.filled,
+          price: fill.price,
+          average: fill.average,
+          cost: fill.cost,
+          fee: fill.fee,
+          info: { ...order.info, realizedPnl: fill.info.realizedPnl, fillOrderId: fill.id }
+        });
+      } catch (error) {
+        order.status = 'canceled';
+      }
+    }
+  }
+
+  // ===== Liquidation =====
+
+  // Liquidate isolated positions whose margin is exhausted. Uses the candle's
+  // high/low when the price source provides one so intrabar wicks count too.
+  async checkLiquidations() {
+    for (const [symbol, position] of this.positions) {
+      const candle = this.priceSource.getCandle ? this.priceSource.getCandle(symbol) : null;
+      const worstPrice = candle
+        ? (position.side === 'long' ? candle.low : candle.high)
+        : await this.priceSource.getPrice(symbol);
+
+      const liquidationPrice = this.getLiquidationPrice(position);
+      const breached = position.side === 'long'
+        ? worstPrice <= liquidationPrice
+        : worstPrice >= liquidationPrice;
+
+      if (!breached) continue;
+
+      // Isolated margin: the whole position margin is lost
+      this.walletBalance -= position.margin;
+      this.positions.delete(symbol);
+
+      const event = {
+        symbol,
+        side: position.side,
+        contracts: position.contracts,
+        entryPrice: position.entryPrice,
+        liquidationPrice,
+        loss: position.margin,
+        timestamp: this.getTimestamp()
+      };
+      this.liquidations.push(event);
+      if (!this.silent) console.log(`💥 Paper position liquidated: ${symbol} ${position.side} at ${liquidationPrice.toFixed(4)}`);
+    }
+    return this.liquidations;
+  }
+}
+
+module.exports = PaperExchange;
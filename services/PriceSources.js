@@ -0,0 +1,119 @@
+const { marketData } = require('./MarketDataService');
+const { loadCandleFile } = require('../utils/candles');
+
+// Every price source exposes getPrice(symbol); candle-based ones also expose getCandle(symbol)
+
+// Fixed prices - handy for tests and demos
+class StaticPriceSource {
+  constructor(prices = {}) {
+    this.prices = typeof prices === 'number' ? { '*': prices } : { ...prices };
+  }
+
+  setPrice(symbol, price) {
+    this.prices[symbol] = price;
+  }
+
+  async getPrice(symbol) {
+    const price = this.prices[symbol] ?? this.prices['*'];
+    if (!price) {
+      throw new Error(`No price available for ${symbol}`);
+    }
+    return price;
+  }
+}
+
+// Replays recorded candles; the cursor only moves when advance() is called
+class CandlePriceSource {
+  constructor(candles, options = {}) {
+    if (!candles || candles.length === 0) {
+      throw new Error('CandlePriceSource needs at least one candle');
+    }
+    this.candles = candles;
+    this.index = 0;
+    this.loop = options.loop || false;
+    this.symbol = options.symbol || null; // null = serve every symbol from the same series
+
+    // Step through the file on a timer, e.g. when a paper session replays a recording
+    if (options.autoAdvanceMs) {
+      this.timer = setInterval(() => this.advance(), options.autoAdvanceMs);
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  static fromFile(filePath, options = {}) {
+    return new CandlePriceSource(loadCandleFile(filePath), options);
+  }
+
+  // Move to the next candle; returns false once the data runs out
+  advance() {
+    if (this.index < this.candles.length - 1) {
+      this.index++;
+      return true;
+    }
+    if (this.loop) {
+      this.index = 0;
+      return true;
+    }
+    return false;
+  }
+
+  hasMore() {
+    return this.index < this.candles.length - 1;
+  }
+
+  getCandle(symbol) {
+    if (this.symbol && symbol && symbol !== this.symbol) {
+      throw new Error(`No candles recorded for ${symbol}`);
+    }
+    return this.candles[this.index];
+  }
+
+  async getPrice(symbol) {
+    return this.getCandle(symbol).close;
+  }
+
+  getTimestamp() {
+    return this.candles[this.index].timestamp;
+  }
+
+  // Candles up to and including the current one, in ccxt OHLCV format
+  getHistory(limit = 500) {
+    return this.candles
+      .slice(Math.max(0, this.index + 1 - limit), this.index + 1)
+      .map(c => [c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
+  }
+}
+
+// Live public tickers from a real exchange - no API keys involved.
+// Served from the shared market-data cache, so paper sessions don't poll the exchange themselves.
+class TickerPriceSource {
+  constructor(exchangeName = 'binance') {
+    this.exchangeName = exchangeName;
+  }
+
+  async getPrice(symbol) {
+    return marketData.getPrice(this.exchangeName, symbol);
+  }
+
+  async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 500) {
+    return marketData.getCandles(this.exchangeName, symbol, timeframe, limit);
+  }
+}
+
+// Default source for paper sessions: a recorded file if configured, otherwise live tickers
+function createDefaultPriceSource() {
+  if (process.env.PAPER_PRICE_FILE) {
+    return CandlePriceSource.fromFile(process.env.PAPER_PRICE_FILE, {
+      loop: true,
+      autoAdvanceMs: parseInt(process.env.PAPER_REPLAY_INTERVAL_MS) || 15000
+    });
+  }
+  return new TickerPriceSource(process.env.PAPER_PRICE_EXCHANGE || 'binance');
+}
+
+module.exports = {
+  StaticPriceSource,
+  CandlePriceSource,
+  TickerPriceSource,
+  createDefaultPriceSource
+};
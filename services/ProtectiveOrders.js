@@ -0,0 +1,153 @@
+const { ORDER_RETRY_CODES } = require('./ExchangeRequestGuard');
+
+// Exchange-side take-profit / stop-loss orders for a martingale position.
+// Both are reduce-only conditional market orders created through ccxt's unified
+// takeProfitPrice / stopLossPrice params, so they protect the position even if
+// this server is down.
+
+// Extra params each exchange needs when creating the conditional orders
+const CREATE_PARAMS = {
+  bybit: { positionIdx: 0, triggerBy: 'MarkPrice' }, // One-way mode, trigger on mark price
+  binance: { workingType: 'MARK_PRICE' },
+  okx: { tdMode: 'isolated' },
+  bitget: { marginMode: 'isolated' },
+  paper: {}
+};
+
+// Conditional orders live in a separate book on most exchanges
+const TRIGGER_ORDER_PARAMS = {
+  bybit: { trigger: true },
+  binance: {},
+  okx: { trigger: true },
+  bitget: { trigger: true, planType: 'profit_loss' },
+  paper: {}
+};
+
+class ProtectiveOrders {
+  constructor(exchange, guard = null) {
+    this.exchange = exchange;
+    this.guard = guard; // The session's ExchangeRequestGuard, when there is one
+  }
+
+  request(name, fn, options) {
+    return this.guard ? this.guard.call(name, fn, options) : fn();
+  }
+
+  getExchangeId() {
+    return this.exchange.id;
+  }
+
+  // Round to the market's price precision when ccxt knows it
+  formatPrice(symbol, price) {
+    if (typeof this.exchange.priceToPrecision === 'function') {
+      try {
+        return parseFloat(this.exchange.priceToPrecision(symbol, price));
+      } catch (error) {
+        return price;
+      }
+    }
+    return price;
+  }
+
+  // Work out TP/SL prices for the current ladder state
+  calculatePrices({ side, averageEntry, lastEntryPrice, config }) {
+    const sign = side === 'buy' ? 1 : -1;
+    const takeProfitPrice = averageEntry * (1 + sign * config.takeProfitPercent / 100);
+
+    // The stop sits beyond the next level's trigger so it only fires if the
+    // engine couldn't add that level (server down, level unfunded, ladder exhausted)
+    const nextLevelTrigger = lastEntryPrice * (1 - sign * config.levelStepPercent / 100);
+    const stopLossBuffer = config.stopLossPercent ?? 0.5;
+    const stopLossPrice = nextLevelTrigger * (1 - sign * stopLossBuffer / 100);
+
+    return { takeProfitPrice, stopLossPrice };
+  }
+
+  async place(symbol, { side, amount, takeProfitPrice, stopLossPrice }) {
+    const closeSide = side === 'buy' ? 'sell' : 'buy';
+    const baseParams = {
+      ...(CREATE_PARAMS[this.getExchangeId()] || {}),
+      reduceOnly: true
+    };
+
+    const tpPrice = this.formatPrice(symbol, takeProfitPrice);
+    const slPrice = this.formatPrice(symbol, stopLossPrice);
+
+    const takeProfitOrder = await this.request('createOrder', () => this.exchange.createOrder(
+      symbol, 'market', closeSide, amount, undefined,
+      { ...baseParams, takeProfitPrice: tpPrice }
+    ), { retryOn: ORDER_RETRY_CODES });
+
+    let stopLossOrder;
+    try {
+      stopLossOrder = await this.request('createOrder', () => this.exchange.createOrder(
+        symbol, 'market', closeSide, amount, undefined,
+        { ...baseParams, stopLossPrice: slPrice }
+      ), { retryOn: ORDER_RETRY_CODES });
+    } catch (error) {
+      // Don't leave half a bracket behind
+      await this.cancelOrder(symbol, takeProfitOrder.id);
+      throw error;
+    }
+
+    return {
+      takeProfitOrderId: takeProfitOrder.id,
+      stopLossOrderId: stopLossOrder.id,
+      takeProfitPrice: tpPrice,
+      stopLossPrice: slPrice,
+      amount
+    };
+  }
+
+  // Cancel one order, ignoring orders that already filled or were cancelled
+  async cancelOrder(symbol, orderId) {
+    if (!orderId) return false;
+    try {
+      await this.request('cancelOrder', () => this.exchange.cancelOrder(orderId, symbol, { ...(TRIGGER_ORDER_PARAMS[this.getExchangeId()] || {}) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'OrderNotFound' || error.name === 'InvalidOrder') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Which leg of the bracket (if any) closed the position
+  async detectFilledLeg(symbol, protection, currentPrice, side) {
+    const legs = [
+      ['take_profit', protection.takeProfitOrderId],
+      ['stop_loss', protection.stopLossOrderId]
+    ];
+
+    for (const [leg, orderId] of legs) {
+      if (!orderId) continue;
+      try {
+        const order = await this.request('fetchOrder', () => this.exchange.fetchOrder(orderId, symbol, { ...(TRIGGER_ORDER_PARAMS[this.getExchangeId()] || {}) }));
+        if (order.status === 'closed' || order.filled > 0) return leg;
+      } catch (error) {
+        // Not every exchange can look up triggered orders - fall back to the price check below
+      }
+    }
+
+    const sign = side === 'buy' ? 1 : -1;
+    if (sign * (currentPrice - protection.takeProfitPrice) >= 0) return 'take_profit';
+    if (sign * (protection.stopLossPrice - currentPrice) >= 0) return 'stop_loss';
+    return null;
+  }
+
+  async cancel(symbol, protection) {
+    if (!protection) return;
+    await this.cancelOrder(symbol, protection.takeProfitOrderId);
+    await this.cancelOrder(symbol, protection.stopLossOrderId);
+  }
+
+  // Replace the bracket after a new level changed the position size / average entry
+  async replace(symbol, previous, next) {
+    // Cancel first - reduce-only orders larger than the position get rejected
+    await this.cancel(symbol, previous);
+    return this.place(symbol, next);
+  }
+}
+
+module.exports = ProtectiveOrders;
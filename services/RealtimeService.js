@@ -0,0 +1,84 @@
+const { Server } = require('socket.io');
+const { authenticateToken, describeAuthError } = require('../middleware/auth');
+
+// Events pushed to a user's sockets:
+//   order:placed      a martingale level was sent to the exchange
+//   order:filled      an entry, close or TP/SL order filled
+//   strategy:level    a run escalated to its next level
+//   position:update   mark price / unrealized PnL of a run's position (every monitor tick)
+//   balance:update    account balance changed
+//   strategy:stopped  a run stopped (by the user, a stop loss, a risk halt, ...)
+//   risk:limit        an account risk limit was breached
+//   risk:ladder       a run's next level was refused by the pre-trade ladder check
+// Events come from the instance running the strategy, so with several instances behind a
+// load balancer the sockets need a shared Socket.IO adapter (e.g. Redis) to reach every client.
+
+function userRoom(userId) {
+  return `user:${userId.toString()}`;
+}
+
+// Same JWT as the REST API: socket.io-client `auth: { token }` or an Authorization header
+function getHandshakeToken(socket) {
+  const { auth = {}, headers = {} } = socket.handshake;
+  return auth.token || headers.authorization?.replace('Bearer ', '');
+}
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(httpServer, options = {}) {
+    if (this.io) return this.io;
+
+    this.io = new Server(httpServer, options);
+
+    this.io.use(async (socket, next) => {
+      try {
+        const user = await authenticateToken(getHandshakeToken(socket));
+        socket.data.userId = user._id.toString();
+        socket.data.username = user.username;
+        next();
+      } catch (error) {
+        const failure = describeAuthError(error);
+        if (!failure) console.error('Socket authentication error:', error);
+
+        const authError = new Error(failure ? failure.body.message : 'Server error in authentication');
+        authError.data = failure ? failure.body : {};
+        next(authError);
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      // The only room a socket ever joins is its own user's - there is no client-side join
+      socket.join(userRoom(socket.data.userId));
+      console.log(`🔌 ${socket.data.username} connected for live updates`);
+
+      socket.on('disconnect', () => {
+        console.log(`🔌 ${socket.data.username} disconnected from live updates`);
+      });
+    });
+
+    console.log('✅ Real-time updates enabled');
+    return this.io;
+  }
+
+  emitToUser(userId, event, payload = {}) {
+    if (!this.io || !userId) return;
+
+    this.io.to(userRoom(userId)).emit(event, {
+      ...payload,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  close() {
+    if (this.io) {
+      this.io.close();
+      this.io = null;
+    }
+  }
+}
+
+module.exports = RealtimeService;
+module.exports.realtime = new RealtimeService();
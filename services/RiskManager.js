@@ -0,0 +1,161 @@
+const User = require('../models/User');
+const { dayKey } = require('../utils/tradingDay');
+
+// Used when a user hasn't set their own limits (null disables a limit)
+const DEFAULT_RISK_LIMITS = {
+  maxDrawdownPercent: 30, // Halt once equity is 30% below its peak
+  maxDailyLoss: null, // USDT of realized loss per UTC day
+  maxMartingaleLevel: null, // Highest ladder level the account may open
+  flattenOnBreach: false // Close positions too, instead of leaving them under their TP/SL
+};
+
+class RiskLimitError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'RiskLimitError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Account-level circuit breaker checked before every new entry
+class RiskManager {
+  getLimits(user) {
+    const limits = { ...DEFAULT_RISK_LIMITS };
+    const configured = user.trading?.riskLimits || {};
+
+    for (const key of Object.keys(DEFAULT_RISK_LIMITS)) {
+      if (configured[key] !== undefined) limits[key] = configured[key];
+    }
+    return limits;
+  }
+
+  // Daily loss is tracked per UTC day
+  getDayKey(date = new Date()) {
+    return dayKey(date);
+  }
+
+  getDailyRealizedPnl(risk) {
+    if (!risk || risk.dailyPnlDate !== this.getDayKey()) return 0;
+    return risk.dailyRealizedPnl || 0;
+  }
+
+  // Returns the breached limit ({ code, reason }) or null
+  evaluate(limits, risk, { equity, level }) {
+    if (limits.maxMartingaleLevel && level > limits.maxMartingaleLevel) {
+      return {
+        code: 'max_level',
+        reason: `Level ${level} exceeds the maximum martingale level of ${limits.maxMartingaleLevel}`
+      };
+    }
+
+    const peakEquity = risk?.peakEquity || 0;
+    if (limits.maxDrawdownPercent && peakEquity > 0) {
+      const drawdown = ((peakEquity - equity) / peakEquity) * 100;
+      if (drawdown >= limits.maxDrawdownPercent) {
+        return {
+          code: 'max_drawdown',
+          reason: `Equity drawdown of ${drawdown.toFixed(2)}% reached the ${limits.maxDrawdownPercent}% limit`
+        };
+      }
+    }
+
+    const dailyLoss = -this.getDailyRealizedPnl(risk);
+    if (limits.maxDailyLoss && dailyLoss >= limits.maxDailyLoss) {
+      return {
+        code: 'daily_loss',
+        reason: `Realized loss of ${dailyLoss.toFixed(2)} USDT today reached the ${limits.maxDailyLoss} USDT limit`
+      };
+    }
+
+    return null;
+  }
+
+  // Check an order before it is placed. Breaching a limit halts the account.
+  async checkOrder(userId, { equity, level }) {
+    const user = await User.findById(userId).select('username trading.riskLimits trading.risk');
+    if (!user) {
+      return { allowed: false, code: 'user_not_found', reason: 'User not found', flatten: false };
+    }
+
+    const risk = user.trading.risk || {};
+    if (risk.halted) {
+      // Already flattened (or deliberately left open) when the limit was first hit
+      return { allowed: false, code: 'halted', reason: risk.haltReason, flatten: false };
+    }
+
+    // Track the equity high-water mark for the drawdown limit
+    if (Number.isFinite(equity) && equity > (risk.peakEquity || 0)) {
+      risk.peakEquity = equity;
+      await User.updateOne({ _id: userId }, { 'trading.risk.peakEquity': equity });
+    }
+
+    const limits = this.getLimits(user);
+    const breach = this.evaluate(limits, risk, { equity, level });
+    if (!breach) {
+      return { allowed: true };
+    }
+
+    await this.halt(userId, breach.reason);
+    console.log(`🛑 Risk limit hit for ${user.username}: ${breach.reason}`);
+
+    return { allowed: false, ...breach, flatten: limits.flattenOnBreach };
+  }
+
+  // Add a closed position's PnL to today's realized total. Paper PnL is virtual and
+  // never counts against the real account's limit.
+  async recordRealizedPnl(userId, pnl, exchange = null) {
+    if (!Number.isFinite(pnl) || exchange === 'paper') return;
+
+    const today = this.getDayKey();
+    const result = await User.updateOne(
+      { _id: userId, 'trading.risk.dailyPnlDate': today },
+      { $inc: { 'trading.risk.dailyRealizedPnl': pnl } }
+    );
+
+    // First close of the day starts a fresh total
+    if (result.matchedCount === 0) {
+      await User.updateOne({ _id: userId }, {
+        'trading.risk.dailyPnlDate': today,
+        'trading.risk.dailyRealizedPnl': pnl
+      });
+    }
+  }
+
+  async halt(userId, reason) {
+    await User.updateOne({ _id: userId }, {
+      'trading.isActive': false,
+      'trading.risk.halted': true,
+      'trading.risk.haltReason': reason,
+      'trading.risk.haltedAt': new Date()
+    });
+  }
+
+  // Lift a halt; the drawdown is measured from the current equity from now on
+  async reset(userId, equity = null) {
+    await User.updateOne({ _id: userId }, {
+      'trading.risk.halted': false,
+      'trading.risk.haltReason': null,
+      'trading.risk.haltedAt': null,
+      'trading.risk.peakEquity': equity
+    });
+  }
+
+  // Current limits and usage for the dashboard
+  getSummary(user) {
+    const risk = user.trading?.risk || {};
+    return {
+      limits: this.getLimits(user),
+      halted: !!risk.halted,
+      haltReason: risk.haltReason || null,
+      haltedAt: risk.haltedAt || null,
+      peakEquity: risk.peakEquity || null,
+      dailyRealizedPnl: this.getDailyRealizedPnl(risk)
+    };
+  }
+}
+
+module.exports = RiskManager;
+module.exports.RiskLimitError = RiskLimitError;
+module.exports.DEFAULT_RISK_LIMITS = DEFAULT_RISK_LIMITS;
+module.exports.riskManager = new RiskManager();
@@ -0,0 +1,116 @@
+const StrategyRun = require('../models/StrategyRun');
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const { lockService } = require('./LockService');
+const { isCredentialError } = require('../utils/exchangeErrors');
+
+// Runs whose instance hasn't sent a heartbeat for this long are considered orphaned
+const STALE_HEARTBEAT = 2 * 60 * 1000; // 2 minutes (8 missed monitor ticks)
+
+// Mark a run as stopped without touching the exchange
+async function stopRun(run, reason) {
+  run.status = 'stopped';
+  run.stopReason = reason;
+  run.stoppedAt = new Date();
+  run.history.push({ type: reason, cycle: run.cycle, level: run.currentLevel });
+  await run.save();
+}
+
+// Rehydrate active strategy runs no live instance is managing any more
+// (after a restart, or when the instance running them died)
+async function resumeStrategyRuns(sessionManager, { staleAfterMs = STALE_HEARTBEAT } = {}) {
+  const staleBefore = new Date(Date.now() - staleAfterMs);
+  const runs = await StrategyRun.find({
+    status: 'active',
+    $or: [{ heartbeatAt: null }, { heartbeatAt: { $lte: staleBefore } }]
+  });
+  if (runs.length === 0) {
+    return { resumed: 0, stopped: 0 };
+  }
+
+  console.log(`♻️ Resuming ${runs.length} orphaned strategy runs...`);
+
+  // Group runs per user so each user connects once
+  const runsByUser = new Map();
+  for (const run of runs) {
+    const userId = run.userId.toString();
+    if (!runsByUser.has(userId)) runsByUser.set(userId, []);
+    runsByUser.get(userId).push(run);
+  }
+
+  let resumed = 0;
+  let stopped = 0;
+
+  for (const [userId, userRuns] of runsByUser) {
+    try {
+      const result = await lockService.withUserLock(userId, () => resumeUserRuns(sessionManager, userId, userRuns));
+      resumed += result.resumed;
+      stopped += result.stopped;
+    } catch (error) {
+      // Leave the runs active - they'll be retried on the next pass
+      console.error(`❌ Failed to resume strategy runs for user ${userId}:`, error.message);
+    }
+  }
+
+  console.log(`♻️ Strategy runs resumed: ${resumed}, stopped: ${stopped}`);
+  return { resumed, stopped };
+}
+
+async function resumeUserRuns(sessionManager, userId, userRuns) {
+  let resumed = 0;
+  let stopped = 0;
+
+  const user = await User.findById(userId);
+
+  if (!user || !sessionManager.isExchangeConnected(user)) {
+    for (const run of userRuns) await stopRun(run, 'exchange_not_connected');
+    return { resumed: 0, stopped: userRuns.length };
+  }
+
+  let exchangeService;
+  try {
+    exchangeService = await sessionManager.getSession(user);
+  } catch (error) {
+    // Outages are retried on the next pass; rejected keys would fail every minute forever
+    if (!isCredentialError(error)) throw error;
+    for (const run of userRuns) await stopRun(run, 'exchange_credentials_rejected');
+    return { resumed: 0, stopped: userRuns.length };
+  }
+
+  for (const run of userRuns) {
+    // Already running in this process (its heartbeat just hasn't landed yet)
+    if (exchangeService.findStrategy({ runId: run._id.toString() })) continue;
+
+    // A paper account only lives in the memory of the process that ran it, so a run
+    // holding a position can't be picked up - a fresh paper account has nothing open
+    if (run.exchange === 'paper' && !run.awaitingEntry) {
+      const writtenOff = await Trade.writeOffPaperRun(run._id);
+      await stopRun(run, 'paper_account_lost');
+      stopped++;
+      console.log(`⚠️ Stopped paper run on ${run.symbol} for user ${userId}: its paper account was lost (${writtenOff} open trades written off)`);
+      continue;
+    }
+
+    // The user switched exchanges since this run started
+    if (run.exchange !== exchangeService.getConnectedExchange()) {
+      await stopRun(run, 'exchange_changed');
+      stopped++;
+      continue;
+    }
+
+    const result = await exchangeService.resumeStrategyRun(run);
+    if (result.resumed) {
+      resumed++;
+      console.log(`✅ Resumed ${run.strategy} on ${run.symbol} for user ${userId} at level ${result.level}`);
+    } else {
+      stopped++;
+      console.log(`⚠️ Could not resume ${run.symbol} for user ${userId}: ${result.reason}`);
+    }
+  }
+
+  return { resumed, stopped };
+}
+
+module.exports = {
+  resumeStrategyRuns
+};
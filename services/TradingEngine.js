@@ -0,0 +1,332 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+const Trade = require('../models/Trade');
+const Strategy = require('../models/Strategy');
+const StrategyRun = require('../models/StrategyRun');
+const OrderReconciler = require('./OrderReconciler');
+const { resumeStrategyRuns } = require('./StrategyRecovery');
+const { lockService } = require('./LockService');
+const { marketData } = require('./MarketDataService');
+const { pairCatalog } = require('./PairCatalog');
+const { getPlanLimits } = require('../config/plans');
+const { toExchangeError } = require('../utils/exchangeErrors');
+const { DAY_MS, dayStart } = require('../utils/tradingDay');
+
+// Only one instance (the holder of this lease) runs the scheduled jobs
+const LEADER_LOCK = 'trading-engine';
+
+// The one trading engine: owns the per-user exchange sessions (and the strategy runs
+// inside them) plus every scheduled job. Route handlers reach it through the registry.
+// Every instance monitors the runs it holds; the elected leader also runs the scheduled
+// jobs and adopts runs whose instance stopped sending heartbeats.
+class TradingEngine {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.reconciler = new OrderReconciler(sessionManager);
+    this.tasks = [];
+    this.started = false;
+  }
+
+  // Resume persisted runs and start the scheduled jobs (once the database is up)
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    console.log('🚀 Voltex Profits trading engine starting...');
+
+    // Tickers and candles for the symbols this instance trades (every instance polls its own)
+    marketData.start();
+
+    // Subscription checks (every 5 minutes)
+    this.scheduleLeaderJob('*/5 * * * *', 'Engine maintenance loop', () => this.runMaintenanceLoop());
+
+    // Runs left behind by a restart or a dead instance (every minute)
+    this.scheduleLeaderJob('* * * * *', 'Strategy recovery', () => this.resumeOrphanedRuns());
+
+    // Daily profit sharing calculation (every day at midnight UTC)
+    this.scheduleLeaderJob('0 0 * * *', 'Daily profit sharing', () => this.calculateDailyProfitSharing(), { timezone: 'Etc/UTC' });
+
+    // Order reconciliation (every 2 minutes)
+    this.scheduleLeaderJob('*/2 * * * *', 'Order reconciliation', () => this.reconciler.runOnce());
+
+    // A newly elected leader picks up strategies that were running before the last restart/redeploy
+    await lockService.startLeaderElection(LEADER_LOCK, {
+      onElected: () => this.resumeOrphanedRuns()
+    });
+
+    console.log('✅ Trading engine started');
+  }
+
+  async stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+    marketData.stop();
+    await lockService.stopLeaderElection(LEADER_LOCK);
+    this.started = false;
+  }
+
+  isLeader() {
+    return lockService.isLeader();
+  }
+
+  // Cron job that only runs on the instance holding the leader lease
+  scheduleLeaderJob(expression, label, job, options = {}) {
+    this.tasks.push(cron.schedule(expression, () => {
+      if (!this.isLeader()) return;
+
+      Promise.resolve()
+        .then(job)
+        .catch(error => {
+          console.error(`❌ ${label} failed:`, error);
+        });
+    }, options));
+  }
+
+  async resumeOrphanedRuns() {
+    try {
+      return await resumeStrategyRuns(this.sessionManager);
+    } catch (error) {
+      console.log('⚠️ Strategy recovery failed:', error.message);
+      return null;
+    }
+  }
+
+  // Serialise trading actions for one user across requests, ticks and instances
+  withUserLock(userId, fn, options) {
+    return lockService.withUserLock(userId, fn, options);
+  }
+
+  // ===== Exchange sessions =====
+
+  isExchangeConnected(user) {
+    return this.sessionManager.isExchangeConnected(user);
+  }
+
+  getSession(user) {
+    return this.sessionManager.getSession(user);
+  }
+
+  peekSession(userId, exchangeName) {
+    return this.sessionManager.peekSession(userId, exchangeName);
+  }
+
+  removeSession(userId, exchangeName = null) {
+    this.sessionManager.removeSession(userId, exchangeName);
+  }
+
+  isUserTrading(userId) {
+    return this.sessionManager.isUserTrading(userId);
+  }
+
+  // ===== Strategy runs =====
+
+  // Catalog entry for a display or exchange symbol on an exchange.
+  // Returns { ok: true, pair } or { ok: false, status, message }.
+  async lookupPair(exchange, symbol) {
+    if (!pairCatalog.isSupported(exchange)) {
+      return {
+        ok: false,
+        status: 400,
+        code: 'UNSUPPORTED_EXCHANGE',
+        retryable: false,
+        message: 'Connect a supported exchange before choosing a trading pair'
+      };
+    }
+
+    try {
+      const pair = await pairCatalog.resolve(exchange, symbol);
+      if (!pair) {
+        return {
+          ok: false,
+          status: 400,
+          code: 'INVALID_SYMBOL',
+          retryable: false,
+          message: `${symbol} is not a tradable USDT perpetual on ${exchange}. See /api/trading/pairs for the list.`
+        };
+      }
+      return { ok: true, pair };
+    } catch (error) {
+      const failure = toExchangeError(error);
+      return {
+        ok: false,
+        status: failure.code === 'INTERNAL_ERROR' ? 503 : failure.status,
+        code: failure.code,
+        retryable: failure.retryable,
+        message: `Could not load ${exchange} markets: ${failure.message}`
+      };
+    }
+  }
+
+  // Plan cap, duplicate symbol and balance allocation checks for a new run.
+  // Returns { ok: true, allocationPercent } or { ok: false, status, message }.
+  async checkRunLimits(user, symbol, allocationPercent) {
+    const { maxConcurrentRuns } = getPlanLimits(user.subscription.plan);
+    const activeRuns = await StrategyRun.find({ userId: user._id, status: 'active' }).select('symbol allocationPercent');
+
+    if (activeRuns.length >= maxConcurrentRuns) {
+      return {
+        ok: false,
+        status: 403,
+        message: `Your plan allows ${maxConcurrentRuns} concurrent strategy run${maxConcurrentRuns > 1 ? 's' : ''}. Stop one to start another.`
+      };
+    }
+    if (activeRuns.some(run => run.symbol === symbol)) {
+      return { ok: false, status: 409, message: `A strategy is already running on ${symbol}` };
+    }
+
+    const allocated = activeRuns.reduce((sum, run) => sum + (run.allocationPercent ?? 100), 0);
+    const allocation = allocationPercent === undefined
+      ? Math.min(100 / maxConcurrentRuns, 100 - allocated)
+      : Number(allocationPercent);
+
+    if (!(allocation >= 1 && allocation <= 100)) {
+      return { ok: false, status: 400, message: 'Allocation must be between 1 and 100 percent of the balance' };
+    }
+    if (allocated + allocation > 100) {
+      return { ok: false, status: 400, message: `Only ${100 - allocated}% of the balance is unallocated` };
+    }
+
+    return { ok: true, allocationPercent: allocation };
+  }
+
+  // Start the pair/strategy saved in the user's settings unless a run is already going
+  activateUser(userId) {
+    return this.withUserLock(userId, () => this.startSavedStrategy(userId));
+  }
+
+  async startSavedStrategy(userId) {
+    const user = await User.findById(userId);
+    if (!user) return { started: false, reason: 'User not found' };
+
+    if (!this.isExchangeConnected(user)) {
+      return { started: false, reason: 'Please connect your exchange API first in Settings' };
+    }
+
+    const exchangeService = await this.getSession(user);
+    if (exchangeService.hasActiveRuns()) {
+      return { started: false, reason: 'Trading is already running' };
+    }
+
+    const strategyConfig = await Strategy.resolveForUser(user.trading.strategy, userId);
+    if (!strategyConfig) {
+      return { started: false, reason: 'Saved strategy no longer exists' };
+    }
+
+    // Saved settings hold the display symbol; orders need the exchange's perpetual symbol
+    const lookup = await this.lookupPair(user.trading.exchange, user.trading.tradingPair || 'BTC/USDT');
+    if (!lookup.ok) return { started: false, reason: lookup.message };
+    const symbol = lookup.pair.exchangeSymbol;
+
+    const limits = await this.checkRunLimits(user, symbol);
+    if (!limits.ok) return { started: false, reason: limits.message };
+
+    const result = await exchangeService.startMartingaleStrategy(symbol, strategyConfig, {
+      allocationPercent: limits.allocationPercent
+    });
+    const run = exchangeService.getRunSummary(symbol);
+
+    await User.findByIdAndUpdate(userId, {
+      'trading.isActive': true,
+      'trading.lastTradeTime': new Date()
+    });
+
+    console.log(`✅ Trading activated for ${user.username}: ${strategyConfig.name} on ${symbol}`);
+    return { started: true, runId: run ? run.runId : null, orderId: result.orderId };
+  }
+
+  // Stop every run and close the user's positions
+  deactivateUser(userId, stopReason = 'stopped_by_user') {
+    return this.withUserLock(userId, () => this.stopUserRuns(userId, stopReason));
+  }
+
+  async stopUserRuns(userId, stopReason) {
+    const user = await User.findById(userId);
+    if (!user) return { stopped: false };
+
+    if (this.isExchangeConnected(user)) {
+      const exchangeService = await this.getSession(user);
+      await exchangeService.stopAllStrategies(stopReason);
+    }
+
+    await User.findByIdAndUpdate(userId, {
+      'trading.isActive': false,
+      'trading.lastTradeTime': new Date()
+    });
+
+    console.log(`🛑 Trading deactivated for ${user.username} (${stopReason})`);
+    return { stopped: true };
+  }
+
+  // Trading settings changed. Running ladders keep their snapshot; an idle session is dropped
+  // so new keys or a new exchange are picked up on the next request.
+  async refreshUser(userId) {
+    if (!this.isUserTrading(userId)) {
+      this.removeSession(userId);
+    }
+  }
+
+  // ===== Scheduled jobs =====
+
+  // Stop trading for users whose subscription ran out
+  async runMaintenanceLoop() {
+    const expired = await User.find({
+      'trading.isActive': true,
+      'subscription.endDate': { $lte: new Date() }
+    }).select('_id username');
+
+    for (const user of expired) {
+      try {
+        await this.deactivateUser(user._id, 'subscription_expired');
+      } catch (error) {
+        console.error(`❌ Could not stop trading for ${user.username}:`, error.message);
+      }
+    }
+  }
+
+  // Calculate daily profit sharing (25% to platform)
+  // Runs at midnight UTC and settles the UTC day that just ended
+  async calculateDailyProfitSharing() {
+    console.log('💰 Calculating daily profit sharing...');
+    const settledDay = new Date(dayStart().getTime() - DAY_MS);
+
+    const users = await User.find({ 'trading.isActive': true }).select('_id username');
+    for (const user of users) {
+      try {
+        const dailyProfit = await this.calculateDailyProfit(user._id, settledDay);
+
+        if (dailyProfit > 0) {
+          const profitShare = dailyProfit * 0.25; // 25% profit sharing
+
+          // Update user's yield wallet
+          await User.findByIdAndUpdate(user._id, {
+            $inc: {
+              'yieldWallet.balance': -profitShare,
+              'stats.dailyProfitSharing': profitShare
+            }
+          });
+
+          console.log(`💰 Profit sharing for ${user.username}: $${profitShare.toFixed(2)}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error calculating profit sharing for ${user.username}:`, error);
+      }
+    }
+  }
+
+  // Realized PnL of trades closed during the UTC day `day` falls in (the same day the
+  // risk manager's daily loss limit counts). Paper profits are virtual and never shared.
+  async calculateDailyProfit(userId, day = new Date()) {
+    const startOfDay = dayStart(day);
+
+    const trades = await Trade.find({
+      userId,
+      exchange: { $ne: 'paper' },
+      closedAt: { $gte: startOfDay, $lt: new Date(startOfDay.getTime() + DAY_MS) },
+      status: 'filled'
+    });
+
+    return trades.reduce((total, trade) => total + (trade.profit - trade.loss), 0);
+  }
+}
+
+module.exports = TradingEngine;
@@ -0,0 +1,39 @@
+const { ema, last } = require('../utils/indicators');
+const { marketData } = require('./MarketDataService');
+
+// Picks the side for "auto" martingale runs: long while the fast EMA is above
+// the slow EMA, short while it is below.
+class TrendFilter {
+  constructor(options = {}) {
+    this.timeframe = options.timeframe || '1h';
+    this.fastPeriod = options.fastPeriod || 50;
+    this.slowPeriod = options.slowPeriod || 200;
+  }
+
+  // Direction from a list of closes (oldest first); null when there isn't enough data
+  directionFromCloses(closes) {
+    const fast = last(ema(closes, this.fastPeriod));
+    const slow = last(ema(closes, this.slowPeriod));
+    if (fast === null || slow === null) return null;
+    return fast >= slow ? 'long' : 'short';
+  }
+
+  // Direction from the exchange's own candles
+  async getDirection(exchange, symbol) {
+    try {
+      const candles = await marketData.getCandles(exchange, symbol, this.timeframe, this.slowPeriod + 50);
+      const direction = this.directionFromCloses(candles.map(candle => candle[4]));
+
+      if (!direction) {
+        console.log(`⚠️ Not enough ${this.timeframe} candles for a trend on ${symbol} - defaulting to long`);
+        return 'long';
+      }
+      return direction;
+    } catch (error) {
+      console.error(`❌ Trend filter failed for ${symbol}, defaulting to long:`, error.message);
+      return 'long';
+    }
+  }
+}
+
+module.exports = TrendFilter;
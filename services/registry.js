@@ -0,0 +1,26 @@
+// Shared service instances. server.js registers them once at startup and
+// route handlers look them up here instead of constructing their own.
+const services = new Map();
+
+function register(name, instance) {
+  services.set(name, instance);
+  return instance;
+}
+
+function get(name) {
+  const instance = services.get(name);
+  if (!instance) {
+    throw new Error(`Service "${name}" has not been registered`);
+  }
+  return instance;
+}
+
+function getTradingEngine() {
+  return get('tradingEngine');
+}
+
+module.exports = {
+  register,
+  get,
+  getTradingEngine
+};
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Backtester = require('../services/Backtester');
+
+const ladder = {
+  id: 'test_ladder',
+  name: 'Test Ladder',
+  capitalBase: 0.01,
+  leverage: 5,
+  martingaleMultipliers: [1, 1, 1],
+  maxLevels: 3,
+  takeProfitPercent: 1,
+  levelStepPercent: 1,
+  stopLossPercent: 0.5
+};
+
+// Hourly candles from [open, high, low, close] rows
+const candlesFrom = (rows) => rows.map(([open, high, low, close], i) => ({
+  timestamp: Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000,
+  open,
+  high,
+  low,
+  close,
+  volume: 1
+}));
+
+const run = (rows, strategy = ladder, options = {}) =>
+  new Backtester({ feeRate: 0, ...options }).run({ candles: candlesFrom(rows), strategy, initialBalance: 10000 });
+
+test('a cycle that reaches its take profit closes as a win', async () => {
+  const report = await run([
+    [100, 100, 100, 100],
+    [100, 102, 100, 101.5],
+    [101.5, 101.5, 101.5, 101.5]
+  ]);
+
+  assert.strictEqual(report.cycles.wins, 1);
+  assert.strictEqual(report.cycles.losses, 0);
+  assert.strictEqual(report.maxLevelReached, 1);
+  assert.ok(report.finalEquity > 10000);
+});
+
+test('levels whose trigger the wick crossed are added before the stop is tested', async () => {
+  const report = await run([
+    [100, 100, 100, 100],
+    // Wicks through the level 2 (99) and level 3 (98.01) triggers, short of the stop
+    [100, 100, 97.5, 98.5],
+    // Wicks through the stop beyond the last level
+    [98.5, 98.5, 96, 96.5],
+    [96.5, 96.5, 96.5, 96.5]
+  ]);
+
+  assert.deepStrictEqual(report.levelDistribution, { 1: 1, 2: 1, 3: 1 });
+  assert.strictEqual(report.stopLoss.level, 3);
+  assert.ok(Math.abs(report.stopLoss.stopLossPrice - 98.01 * 0.99 * 0.995) < 1e-6);
+  assert.strictEqual(report.stopLoss.timestamp, new Date(Date.UTC(2024, 0, 1, 2)).toISOString());
+  assert.strictEqual(report.liquidations.length, 0);
+  assert.strictEqual(report.cycles.losses, 1);
+  assert.strictEqual(report.cycles.open, 0);
+});
+
+test('a position liquidated before its next trigger is liquidated, not escalated or stopped', async () => {
+  const report = await run([
+    [100, 100, 100, 100],
+    [100, 100, 97, 97.5],
+    [97.5, 97.5, 97.5, 97.5]
+  ], { ...ladder, leverage: 50, levelStepPercent: 2 });
+
+  assert.strictEqual(report.maxLevelReached, 1);
+  assert.strictEqual(report.stopLoss, null);
+  assert.strictEqual(report.liquidations.length, 1);
+  assert.strictEqual(report.liquidations[0].level, 1);
+});
+
+test('shorts escalate on wicks up', async () => {
+  const report = await new Backtester({ feeRate: 0 }).run({
+    candles: candlesFrom([
+      [100, 100, 100, 100],
+      [100, 101.5, 100, 101],
+      [101, 101, 101, 101]
+    ]),
+    strategy: ladder,
+    direction: 'short'
+  });
+
+  assert.strictEqual(report.cycles.short, 1);
+  assert.deepStrictEqual(report.levelDistribution, { 1: 1, 2: 1 });
+  assert.strictEqual(report.stopLoss, null);
+});
+
+test('a backtest needs at least two candles', async () => {
+  await assert.rejects(run([[100, 100, 100, 100]]), /At least two candles are required/);
+});
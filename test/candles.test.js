@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeCandle, parseCandles } = require('../utils/candles');
+
+test('normalizeCandle reads ccxt OHLCV rows', () => {
+  assert.deepStrictEqual(normalizeCandle([1000, '1', '2', '0.5', '1.5']), {
+    timestamp: 1000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 0
+  });
+});
+
+test('normalizeCandle reads long and short keys and ISO dates', () => {
+  assert.deepStrictEqual(normalizeCandle({ t: 1000, o: 1, h: 2, l: 0.5, c: 1.5, v: 10 }), {
+    timestamp: 1000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10
+  });
+  assert.strictEqual(normalizeCandle({ date: '2024-01-01T00:00:00Z', open: 1, high: 1, low: 1, close: 1 }).timestamp, Date.UTC(2024, 0, 1));
+});
+
+test('parseCandles reads CSV with a header in any column order', () => {
+  const csv = 'close,timestamp,open,high,low,volume\r\n1.5,2000,1,2,0.5,3\r\n1.2,1000,1,2,0.5,4\r\n';
+
+  assert.deepStrictEqual(parseCandles(csv), [
+    { timestamp: 1000, open: 1, high: 2, low: 0.5, close: 1.2, volume: 4 },
+    { timestamp: 2000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 3 }
+  ]);
+});
+
+test('parseCandles reads headerless CSV in ccxt column order', () => {
+  assert.deepStrictEqual(parseCandles('1000,1,2,0.5,1.5,7'), [
+    { timestamp: 1000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 7 }
+  ]);
+});
+
+test('parseCandles reads JSON arrays and { candles } wrappers', () => {
+  const row = { timestamp: 1000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 0 };
+
+  assert.deepStrictEqual(parseCandles(JSON.stringify([row])), [row]);
+  assert.deepStrictEqual(parseCandles(JSON.stringify({ candles: [row] })), [row]);
+});
+
+test('parseCandles drops rows it cannot read and sorts by time', () => {
+  const candles = parseCandles([
+    [2000, 1, 2, 0.5, 1.5],
+    null,
+    5,
+    'oops',
+    { timestamp: 'yesterday', open: 1, high: 1, low: 1, close: 1 },
+    [1000, 1, 2, 0.5, 'n/a'],
+    [500, 1, 2, 0.5, 1]
+  ]);
+
+  assert.deepStrictEqual(candles.map(candle => candle.timestamp), [500, 2000]);
+  assert.deepStrictEqual(parseCandles('[null, 7]'), []);
+});
+
+test('parseCandles rejects other input', () => {
+  assert.throws(() => parseCandles(42), /Candles must be an array, CSV text or JSON text/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateEntryConditions } = require('../utils/entryConditions');
+const { evaluateRules, requiredCandles } = require('../services/EntryFilter');
+
+const candlesFrom = (closes) =>
+  closes.map((value, i) => [i * 60000, value, value + 1, value - 1, value, 0]);
+
+const rising = candlesFrom(Array.from({ length: 60 }, (_, i) => 100 + i));
+
+test('validateEntryConditions accepts no filter and well-formed rules', () => {
+  assert.deepStrictEqual(validateEntryConditions(null), []);
+  assert.deepStrictEqual(validateEntryConditions({
+    timeframe: '4h',
+    rules: [
+      { indicator: 'rsi', period: 14, operator: 'below', value: 35 },
+      { indicator: 'price', operator: 'above', compareTo: { indicator: 'ema', period: 200 }, side: 'long' }
+    ]
+  }), []);
+});
+
+test('validateEntryConditions rejects conditions without a rule list', () => {
+  assert.deepStrictEqual(validateEntryConditions({ timeframe: '1h' }), ['Entry conditions need a list of rules']);
+  assert.deepStrictEqual(validateEntryConditions('rsi < 30'), ['Entry conditions need a list of rules']);
+});
+
+test('validateEntryConditions reports every problem with a rule', () => {
+  const errors = validateEntryConditions({
+    timeframe: '2h',
+    rules: [
+      { indicator: 'macd', operator: 'crosses', value: 1 },
+      { indicator: 'ema', period: 1, operator: 'above', value: 1, side: 'both' },
+      { indicator: 'rsi', operator: 'below' },
+      null
+    ]
+  });
+
+  assert.match(errors[0], /Entry timeframe must be one of/);
+  assert.match(errors[1], /^Entry rule 1: unknown indicator "macd"/);
+  assert.strictEqual(errors[2], 'Entry rule 1: operator must be "above" or "below"');
+  assert.match(errors[3], /^Entry rule 2: ema needs a whole-number period/);
+  assert.strictEqual(errors[4], 'Entry rule 2: side must be "long" or "short"');
+  assert.strictEqual(errors[5], 'Entry rule 3: set either a numeric value or compareTo');
+  assert.strictEqual(errors[6], 'Entry rule 4 must be an object');
+  assert.strictEqual(errors.length, 7);
+});
+
+test('validateEntryConditions checks the compareTo operand', () => {
+  const errors = validateEntryConditions({
+    rules: [{ indicator: 'price', operator: 'above', compareTo: { indicator: 'sma', period: 501 } }]
+  });
+
+  assert.deepStrictEqual(errors, ['Entry rule 1 compareTo: sma needs a whole-number period between 2 and 500']);
+});
+
+test('evaluateRules passes when every rule holds', () => {
+  const result = evaluateRules([
+    { indicator: 'rsi', operator: 'above', value: 70 },
+    { indicator: 'price', operator: 'above', compareTo: { indicator: 'ema', period: 20 } }
+  ], rising, 'buy');
+
+  assert.strictEqual(result.allowed, true);
+  assert.deepStrictEqual(result.reasons, []);
+  assert.strictEqual(result.values['RSI(14)'], 100);
+  assert.strictEqual(result.values.price, 159);
+});
+
+test('evaluateRules lists the rules that fail', () => {
+  const result = evaluateRules([
+    { indicator: 'rsi', operator: 'below', value: 35 },
+    { indicator: 'price', operator: 'above', compareTo: { indicator: 'ema', period: 20 } }
+  ], rising, 'buy');
+
+  assert.strictEqual(result.allowed, false);
+  assert.deepStrictEqual(result.failed, ['RSI(14) below 35']);
+  assert.deepStrictEqual(result.reasons, ['RSI(14) 100 is not below 35']);
+});
+
+test('evaluateRules skips rules for the other side', () => {
+  const rules = [{ indicator: 'rsi', operator: 'below', value: 35, side: 'long' }];
+
+  assert.strictEqual(evaluateRules(rules, rising, 'buy').allowed, false);
+  assert.strictEqual(evaluateRules(rules, rising, 'sell').allowed, true);
+});
+
+test('evaluateRules refuses entry without enough candles for a rule', () => {
+  const result = evaluateRules([{ indicator: 'sma', period: 200, operator: 'above', value: 1 }], rising, 'buy');
+
+  assert.strictEqual(result.allowed, false);
+  assert.deepStrictEqual(result.reasons, ['not enough candles for SMA(200) above 1']);
+});
+
+test('requiredCandles covers the slowest indicator with room to settle', () => {
+  assert.strictEqual(requiredCandles([{ indicator: 'price', operator: 'above', value: 1 }]), 100);
+  assert.strictEqual(requiredCandles([
+    { indicator: 'rsi', operator: 'below', value: 30 },
+    { indicator: 'price', operator: 'above', compareTo: { indicator: 'ema', period: 200 } }
+  ]), 300);
+  assert.strictEqual(requiredCandles([{ indicator: 'sma', period: 500, operator: 'above', value: 1 }]), 600);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+
+// In-memory stand-in for the IdempotencyKey collection, keyed like its unique index
+const records = new Map();
+let nextId = 1;
+
+test.beforeEach(() => {
+  records.clear();
+  test.mock.method(IdempotencyKey, 'create', async (fields) => {
+    const id = `${fields.userId}:${fields.key}`;
+    if (records.has(id)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const record = { _id: nextId++, status: 'processing', createdAt: new Date(), ...fields };
+    records.set(id, record);
+    return record;
+  });
+  test.mock.method(IdempotencyKey, 'findOne', async ({ userId, key }) => records.get(`${userId}:${key}`) || null);
+  test.mock.method(IdempotencyKey, 'updateOne', async ({ _id }, update) => {
+    const record = [...records.values()].find(r => r._id === _id);
+    if (record) Object.assign(record, update);
+  });
+  test.mock.method(IdempotencyKey, 'deleteOne', async ({ _id, status }) => {
+    for (const [id, record] of records) {
+      if (record._id === _id && (!status || record.status === status)) records.delete(id);
+    }
+  });
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+// A key stored by an earlier request for the default request body
+const seed = (fields) => {
+  records.set('user-1:start-1', {
+    _id: nextId++,
+    userId: 'user-1',
+    key: 'start-1',
+    route: 'POST /api/trading/start',
+    requestHash: crypto.createHash('sha256').update(JSON.stringify({ symbol: 'BTC/USDT' })).digest('hex'),
+    ...fields
+  });
+};
+
+const request = ({ key, body = { symbol: 'BTC/USDT' }, path = '/start' } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/trading',
+  path,
+  body,
+  user: { id: 'user-1' },
+  header: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const response = () => {
+  let sent;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    sent: new Promise(resolve => { sent = resolve; }),
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      sent();
+      return this;
+    }
+  };
+  return res;
+};
+
+// Runs the middleware and, when it hands over, the handler. Resolves once a response is sent.
+const send = async (req, handler = (req, res) => res.json({ success: true })) => {
+  const res = response();
+  let handled = false;
+  idempotency(req, res, () => {
+    handled = true;
+    handler(req, res);
+  });
+  await res.sent;
+  // Let the stored response settle before the next request looks it up
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+};
+
+test('requests without a key pass straight through', async () => {
+  const { res, handled } = await send(request());
+
+  assert.strictEqual(handled, true);
+  assert.strictEqual(IdempotencyKey.create.mock.callCount(), 0);
+  assert.deepStrictEqual(res.body, { success: true });
+});
+
+test('keys longer than 255 characters are rejected', async () => {
+  const { res, handled } = await send(request({ key: 'k'.repeat(256) }));
+
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('a repeated request gets the first response back without running again', async () => {
+  let runs = 0;
+  const handler = (req, res) => {
+    runs++;
+    assert.strictEqual(req.idempotencyKey, 'start-1');
+    res.status(201).json({ success: true, run: runs });
+  };
+
+  await send(request({ key: 'start-1' }), handler);
+  const { res, handled } = await send(request({ key: 'start-1' }), handler);
+
+  assert.strictEqual(handled, false);
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(res.body, { success: true, run: 1 });
+  assert.strictEqual(res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('a key reused for a different request is refused', async () => {
+  await send(request({ key: 'start-1' }));
+
+  const otherBody = await send(request({ key: 'start-1', body: { symbol: 'ETH/USDT' } }));
+  const otherRoute = await send(request({ key: 'start-1', path: '/stop' }));
+
+  assert.strictEqual(otherBody.res.statusCode, 422);
+  assert.strictEqual(otherBody.res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  assert.strictEqual(otherRoute.res.statusCode, 422);
+});
+
+test('a request still being processed answers 409', async () => {
+  seed({ status: 'processing', createdAt: new Date() });
+
+  const { res, handled } = await send(request({ key: 'start-1' }));
+
+  assert.strictEqual(handled, false);
+  assert.strictEqual(res.statusCode, 409);
+  assert.strictEqual(res.body.code, 'REQUEST_IN_PROGRESS');
+});
+
+test('a key left processing by a request that died is taken over', async () => {
+  seed({ status: 'processing', createdAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+  const { res, handled } = await send(request({ key: 'start-1' }));
+
+  assert.strictEqual(handled, true);
+  assert.deepStrictEqual(res.body, { success: true });
+  assert.strictEqual(records.get('user-1:start-1').status, 'completed');
+});
+
+test('server errors and busy answers release the key for a retry', async () => {
+  for (const status of [500, 409, 429]) {
+    const failed = await send(request({ key: `start-${status}` }), (req, res) => res.status(status).json({ success: false }));
+    const retried = await send(request({ key: `start-${status}` }));
+
+    assert.strictEqual(failed.res.statusCode, status);
+    assert.strictEqual(retried.handled, true);
+    assert.strictEqual(retried.res.statusCode, 200);
+  }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ema, sma, rsi, atr, bollinger, last } = require('../utils/indicators');
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+};
+
+// OHLCV rows from closes with a fixed distance to the high and low
+const candlesFrom = (closes, range = 1) =>
+  closes.map((value, i) => [i * 60000, value, value + range, value - range, value, 0]);
+
+test('sma averages the trailing window and leaves the warm-up null', () => {
+  assert.deepStrictEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('ema seeds with the simple average of the first period', () => {
+  assert.deepStrictEqual(ema([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  assert.deepStrictEqual(ema([2, 4, 6, 10], 3), [null, null, 4, 7]);
+});
+
+test('ema is all null with fewer values than its period', () => {
+  assert.deepStrictEqual(ema([1, 2], 3), [null, null]);
+});
+
+test('rsi is 100 when prices only rise and 50 when they are flat', () => {
+  const rising = Array.from({ length: 20 }, (_, i) => 100 + i);
+  const flat = new Array(20).fill(100);
+
+  assert.strictEqual(last(rsi(rising, 14)), 100);
+  assert.strictEqual(last(rsi(flat, 14)), 50);
+  assert.strictEqual(rsi(rising, 14)[13], null);
+});
+
+test('rsi smooths gains and losses the Wilder way', () => {
+  const values = rsi([1, 2, 1, 2], 2);
+
+  assert.strictEqual(values[1], null);
+  close(values[2], 50);
+  // Average gain (0.5 + 1) / 2, average loss (0.5 + 0) / 2
+  close(values[3], 75);
+});
+
+test('rsi is all null until one change past the period', () => {
+  assert.deepStrictEqual(rsi([1, 2, 3], 3), [null, null, null]);
+});
+
+test('atr equals the candle range when closes do not gap', () => {
+  const values = atr(candlesFrom(new Array(20).fill(100), 2), 14);
+
+  assert.strictEqual(values[13], null);
+  close(last(values), 4);
+});
+
+test('atr counts a gap from the previous close as true range', () => {
+  const candles = [
+    [0, 100, 101, 99, 100, 0],
+    [1, 110, 111, 109, 110, 0],
+    [2, 110, 111, 109, 110, 0]
+  ];
+  const values = atr(candles, 2);
+
+  // Seed over candles 2-3: the gap up from 100 to a high of 111, then a plain range of 2
+  close(values[2], 6.5);
+});
+
+test('bollinger bands collapse onto the middle band for flat prices', () => {
+  const { upper, middle, lower } = bollinger(new Array(20).fill(50), 20);
+
+  assert.strictEqual(last(upper), 50);
+  assert.strictEqual(last(middle), 50);
+  assert.strictEqual(last(lower), 50);
+});
+
+test('bollinger bands sit multiplier population deviations from the middle', () => {
+  const { upper, middle, lower } = bollinger([1, 2, 3], 3, 2);
+  const deviation = Math.sqrt(2 / 3) * 2;
+
+  assert.strictEqual(upper[1], null);
+  close(middle[2], 2);
+  close(upper[2], 2 + deviation);
+  close(lower[2], 2 - deviation);
+});
+
+test('last skips trailing gaps', () => {
+  assert.strictEqual(last([null, 1, 2, null]), 2);
+  assert.strictEqual(last([null, null]), null);
+  assert.strictEqual(last([]), null);
+});
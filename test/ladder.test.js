@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_MAINTENANCE_MARGIN_RATE,
+  positionSize,
+  maintenanceMarginRate,
+  liquidationPrice,
+  projectLadder,
+  assessLadder
+} = require('../utils/ladder');
+
+const config = {
+  capitalBase: 0.01,
+  martingaleMultipliers: [1, 2, 4],
+  leverage: 10,
+  levelStepPercent: 2,
+  takeProfitPercent: 1,
+  stopLossPercent: 0.5,
+  maxLevels: 3
+};
+
+const close = (actual, expected, epsilon = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) < epsilon, `expected ${actual} to be close to ${expected}`);
+};
+
+test('positionSize scales the balance by capitalBase and the level multiplier', () => {
+  assert.strictEqual(positionSize(1000, 1, config), 10);
+  assert.strictEqual(positionSize(1000, 3, config), 40);
+});
+
+test('maintenanceMarginRate picks the tier the notional falls in', () => {
+  const tiers = [
+    { minNotional: 0, maxNotional: 50000, maintenanceMarginRate: 0.005 },
+    { minNotional: 50000, maxNotional: 250000, maintenanceMarginRate: 0.01 },
+    { minNotional: 250000, maxNotional: null, maintenanceMarginRate: 0.025 }
+  ];
+
+  assert.strictEqual(maintenanceMarginRate(tiers, 1000), 0.005);
+  assert.strictEqual(maintenanceMarginRate(tiers, 50000), 0.01);
+  assert.strictEqual(maintenanceMarginRate(tiers, 1e9), 0.025);
+});
+
+test('maintenanceMarginRate falls back to the default without tiers', () => {
+  assert.strictEqual(maintenanceMarginRate(null, 1000), DEFAULT_MAINTENANCE_MARGIN_RATE);
+  assert.strictEqual(maintenanceMarginRate([], 1000), DEFAULT_MAINTENANCE_MARGIN_RATE);
+  assert.strictEqual(maintenanceMarginRate([{ minNotional: 0 }], 1000), DEFAULT_MAINTENANCE_MARGIN_RATE);
+});
+
+test('liquidationPrice of a long sits below the entry', () => {
+  const price = liquidationPrice({ side: 'buy', entryPrice: 100, quantity: 1, margin: 10, maintenanceMarginRate: 0.01 });
+  close(price, 90 / 0.99);
+});
+
+test('liquidationPrice of a short sits above the entry', () => {
+  const price = liquidationPrice({ side: 'sell', entryPrice: 100, quantity: 1, margin: 10, maintenanceMarginRate: 0.01 });
+  close(price, 110 / 1.01);
+});
+
+test('liquidationPrice of an overcollateralised long is zero', () => {
+  assert.strictEqual(liquidationPrice({ side: 'buy', entryPrice: 100, quantity: 1, margin: 200, maintenanceMarginRate: 0.01 }), 0);
+});
+
+test('liquidationPrice is null without a position', () => {
+  assert.strictEqual(liquidationPrice({ side: 'buy', entryPrice: 100, quantity: 0, margin: 10, maintenanceMarginRate: 0.01 }), null);
+});
+
+test('projectLadder steps each level a levelStepPercent beyond the previous entry', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'buy' });
+
+  assert.deepStrictEqual(levels.map(level => level.level), [1, 2, 3]);
+  assert.strictEqual(levels[0].entryPrice, 100);
+  assert.strictEqual(levels[1].entryPrice, 98);
+  close(levels[2].entryPrice, 96.04);
+
+  assert.strictEqual(levels[0].margin, 10);
+  assert.strictEqual(levels[0].notional, 100);
+  assert.strictEqual(levels[2].cumulativeMargin, 70);
+  assert.strictEqual(levels[2].cumulativeNotional, 700);
+
+  close(levels[0].liquidationPrice, 90 / 0.99);
+  close(levels[0].takeProfitPrice, 101);
+  close(levels[0].stopLossPrice, 98 * 0.995);
+  assert.strictEqual(levels[0].liquidatesBeforeNextLevel, false);
+  assert.strictEqual(levels[2].nextTriggerPrice, null);
+  assert.strictEqual(levels[2].liquidatesBeforeNextLevel, false);
+});
+
+test('projectLadder averages the entry over the levels filled so far', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'buy' });
+  const quantity = 1 + 200 / 98;
+
+  close(levels[1].averageEntry, 300 / quantity);
+  assert.ok(levels[1].averageEntry < 100 && levels[1].averageEntry > 98);
+  assert.ok(levels[1].breakEvenMovePercent > 0);
+});
+
+test('projectLadder mirrors the ladder for shorts', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'sell' });
+
+  assert.strictEqual(levels[1].entryPrice, 102);
+  close(levels[0].takeProfitPrice, 99);
+  assert.ok(levels[0].liquidationPrice > 100);
+  assert.ok(levels[0].stopLossPrice > levels[0].nextTriggerPrice);
+});
+
+test('projectLadder continues from a held position', () => {
+  const levels = projectLadder(config, {
+    balance: 1000,
+    price: 98,
+    side: 'buy',
+    fromLevel: 2,
+    position: { quantity: 1, notional: 100, margin: 10 }
+  });
+
+  assert.deepStrictEqual(levels.map(level => level.level), [2, 3]);
+  assert.strictEqual(levels[0].cumulativeMargin, 30);
+  assert.strictEqual(levels[0].cumulativeNotional, 300);
+  close(levels[0].averageEntry, 300 / (1 + 200 / 98));
+});
+
+test('assessLadder allows a funded and safe ladder', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'buy' });
+  const assessment = assessLadder(levels, { availableMargin: 1000 });
+
+  assert.strictEqual(assessment.allowed, true);
+  assert.strictEqual(assessment.code, null);
+  assert.strictEqual(assessment.requiredMargin, 70);
+  assert.strictEqual(assessment.fundedThroughLevel, 3);
+  assert.deepStrictEqual(assessment.warnings, []);
+});
+
+test('assessLadder refuses a level its margin does not cover', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'buy' });
+  const assessment = assessLadder(levels, { availableMargin: 5 });
+
+  assert.strictEqual(assessment.allowed, false);
+  assert.strictEqual(assessment.code, 'LADDER_UNFUNDED');
+  assert.strictEqual(assessment.fundedThroughLevel, 0);
+});
+
+test('assessLadder only warns about later levels it cannot fund', () => {
+  const levels = projectLadder(config, { balance: 1000, price: 100, side: 'buy' });
+  const assessment = assessLadder(levels, { availableMargin: 15 });
+
+  assert.strictEqual(assessment.allowed, true);
+  assert.strictEqual(assessment.fundedThroughLevel, 1);
+  assert.strictEqual(assessment.warnings.length, 1);
+  assert.match(assessment.warnings[0], /Levels 2-3 can't be funded/);
+});
+
+test('assessLadder refuses a level liquidated before the next one triggers', () => {
+  const levels = projectLadder({ ...config, leverage: 100 }, { balance: 1000, price: 100, side: 'buy' });
+  const assessment = assessLadder(levels, { availableMargin: 1000 });
+
+  assert.strictEqual(levels[0].liquidatesBeforeNextLevel, true);
+  assert.strictEqual(assessment.allowed, false);
+  assert.strictEqual(assessment.code, 'LIQUIDATION_BEFORE_NEXT_LEVEL');
+});
+
+test('assessLadder allows an empty ladder', () => {
+  const assessment = assessLadder([], { availableMargin: 0 });
+
+  assert.strictEqual(assessment.allowed, true);
+  assert.strictEqual(assessment.fromLevel, null);
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Normalise one candle into { timestamp, open, high, low, close, volume }
+function normalizeCandle(raw) {
+  // ccxt OHLCV format: [timestamp, open, high, low, close, volume]
+  if (Array.isArray(raw)) {
+    const [timestamp, open, high, low, close, volume = 0] = raw;
+    return {
+      timestamp: Number(timestamp),
+      open: Number(open),
+      high: Number(high),
+      low: Number(low),
+      close: Number(close),
+      volume: Number(volume)
+    };
+  }
+
+  // null or a bare number in a JSON array: left for isValidCandle to drop
+  if (!raw || typeof raw !== 'object') return { timestamp: NaN };
+
+  const timestamp = raw.timestamp ?? raw.time ?? raw.date ?? raw.t;
+  return {
+    timestamp: typeof timestamp === 'string' && isNaN(Number(timestamp))
+      ? new Date(timestamp).getTime()
+      : Number(timestamp),
+    open: Number(raw.open ?? raw.o),
+    high: Number(raw.high ?? raw.h),
+    low: Number(raw.low ?? raw.l),
+    close: Number(raw.close ?? raw.c),
+    volume: Number(raw.volume ?? raw.v ?? 0)
+  };
+}
+
+function isValidCandle(candle) {
+  return [candle.timestamp, candle.open, candle.high, candle.low, candle.close]
+    .every(value => Number.isFinite(value));
+}
+
+// CSV with a header row (timestamp,open,high,low,close,volume) or headerless ccxt column order
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const firstRow = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+  const hasHeader = firstRow.some(cell => isNaN(Number(cell)) && isNaN(Date.parse(cell)));
+
+  if (!hasHeader) {
+    return lines.map(line => normalizeCandle(line.split(',')));
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    const row = {};
+    firstRow.forEach((column, index) => {
+      row[column] = cells[index] !== undefined ? cells[index].trim() : undefined;
+    });
+    return normalizeCandle(row);
+  });
+}
+
+// Accepts raw CSV/JSON text or an already parsed array
+function parseCandles(input, format = null) {
+  let candles;
+
+  if (Array.isArray(input)) {
+    candles = input.map(normalizeCandle);
+  } else if (typeof input === 'string') {
+    const text = input.trim();
+    const looksLikeJson = text.startsWith('[') || text.startsWith('{');
+
+    if (format === 'json' || (!format && looksLikeJson)) {
+      const parsed = JSON.parse(text);
+      const rows = Array.isArray(parsed) ? parsed : parsed.candles || parsed.data || [];
+      candles = rows.map(normalizeCandle);
+    } else {
+      candles = parseCsv(text);
+    }
+  } else {
+    throw new Error('Candles must be an array, CSV text or JSON text');
+  }
+
+  return candles
+    .filter(isValidCandle)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function loadCandleFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : null;
+  return parseCandles(text, format);
+}
+
+module.exports = {
+  normalizeCandle,
+  parseCandles,
+  loadCandleFile
+};
@@ -0,0 +1,86 @@
+// A strategy's level-1 entry conditions and their validation, shared by the Strategy model
+// and the EntryFilter service. entryConditions look like
+//   { timeframe: '1h', rules: [
+//       { indicator: 'rsi', period: 14, operator: 'below', value: 35 },
+//       { indicator: 'price', operator: 'above', compareTo: { indicator: 'ema', period: 200 } }
+//   ] }
+// Every rule must hold for a cycle to open. A rule with `side: 'long'` or `side: 'short'`
+// only applies to cycles on that side.
+
+const INDICATORS = {
+  price: { period: false },
+  ema: { period: true },
+  sma: { period: true },
+  rsi: { period: true, defaultPeriod: 14 },
+  atr: { period: true, defaultPeriod: 14 },
+  atr_percent: { period: true, defaultPeriod: 14 }, // ATR as a percentage of price
+  bollinger_upper: { period: true, defaultPeriod: 20 },
+  bollinger_middle: { period: true, defaultPeriod: 20 },
+  bollinger_lower: { period: true, defaultPeriod: 20 }
+};
+const OPERATORS = ['above', 'below'];
+const TIMEFRAMES = ['5m', '15m', '30m', '1h', '4h', '1d'];
+const MAX_PERIOD = 500;
+const MAX_RULES = 10;
+
+// Human-readable problems with an entryConditions object ([] when valid; null means no filter)
+function validateEntryConditions(conditions) {
+  if (conditions === null || conditions === undefined) return [];
+  if (typeof conditions !== 'object' || !Array.isArray(conditions.rules)) {
+    return ['Entry conditions need a list of rules'];
+  }
+
+  const errors = [];
+  if (conditions.timeframe !== undefined && !TIMEFRAMES.includes(conditions.timeframe)) {
+    errors.push(`Entry timeframe must be one of ${TIMEFRAMES.join(', ')}`);
+  }
+  if (conditions.rules.length > MAX_RULES) {
+    errors.push(`At most ${MAX_RULES} entry rules are allowed`);
+  }
+
+  conditions.rules.forEach((rule, index) => {
+    const label = `Entry rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    errors.push(...validateOperand(rule, label));
+    if (!OPERATORS.includes(rule.operator)) {
+      errors.push(`${label}: operator must be "above" or "below"`);
+    }
+    if (rule.side !== undefined && !['long', 'short'].includes(rule.side)) {
+      errors.push(`${label}: side must be "long" or "short"`);
+    }
+
+    const hasValue = Number.isFinite(rule.value);
+    if (hasValue === !!rule.compareTo) {
+      errors.push(`${label}: set either a numeric value or compareTo`);
+    } else if (rule.compareTo) {
+      errors.push(...validateOperand(rule.compareTo, `${label} compareTo`));
+    }
+  });
+
+  return errors;
+}
+
+function validateOperand(operand, label) {
+  const definition = INDICATORS[operand.indicator];
+  if (!definition) {
+    return [`${label}: unknown indicator "${operand.indicator}". Use ${Object.keys(INDICATORS).join(', ')}`];
+  }
+  if (!definition.period) return [];
+
+  const period = operand.period ?? definition.defaultPeriod;
+  if (!Number.isInteger(period) || period < 2 || period > MAX_PERIOD) {
+    return [`${label}: ${operand.indicator} needs a whole-number period between 2 and ${MAX_PERIOD}`];
+  }
+  return [];
+}
+
+module.exports = {
+  INDICATORS,
+  OPERATORS,
+  TIMEFRAMES,
+  validateEntryConditions
+};
@@ -0,0 +1,100 @@
+const ccxt = require('ccxt');
+
+// Stable codes for exchange failures. Routes answer { success: false, code, message, retryable }
+// and the engine checks `retryable` to tell a passing outage from a request that will keep failing.
+
+// An exchange problem that already carries its code, HTTP status and retryable flag
+class ExchangeApiError extends Error {
+  constructor(code, message, { status = 502, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'ExchangeApiError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+// ccxt error classes inherit from each other, so the most specific come first.
+// A null message means the exchange's own text is the most useful thing to show.
+const CCXT_ERRORS = [
+  [ccxt.AccountSuspended, 'EXCHANGE_ACCOUNT_SUSPENDED', 403, false, 'Your exchange account is suspended.'],
+  [ccxt.PermissionDenied, 'EXCHANGE_PERMISSION_DENIED', 403, false, 'Insufficient API permissions. Please enable Contract Trading and Read Position, and check the IP whitelist.'],
+  // 401 is kept for our own session token so the frontend doesn't log the user out
+  [ccxt.AuthenticationError, 'EXCHANGE_AUTH_FAILED', 400, false, 'Invalid API credentials. Please check your API key and secret.'],
+  [ccxt.InsufficientFunds, 'INSUFFICIENT_FUNDS', 400, false, 'Insufficient margin on the exchange for this order.'],
+  [ccxt.OrderNotFound, 'ORDER_NOT_FOUND', 404, false, null],
+  [ccxt.InvalidOrder, 'INVALID_ORDER', 400, false, null],
+  [ccxt.BadSymbol, 'INVALID_SYMBOL', 400, false, null],
+  [ccxt.RateLimitExceeded, 'EXCHANGE_RATE_LIMITED', 429, true, 'The exchange is rate limiting requests. Please try again shortly.'],
+  [ccxt.DDoSProtection, 'EXCHANGE_RATE_LIMITED', 429, true, 'The exchange is rate limiting requests. Please try again shortly.'],
+  [ccxt.OnMaintenance, 'EXCHANGE_MAINTENANCE', 503, true, 'The exchange is under maintenance. Please try again later.'],
+  [ccxt.ExchangeNotAvailable, 'EXCHANGE_UNAVAILABLE', 503, true, 'The exchange is temporarily unavailable. Please try again shortly.'],
+  [ccxt.RequestTimeout, 'EXCHANGE_TIMEOUT', 504, true, 'The exchange did not respond in time. Please try again.'],
+  [ccxt.NetworkError, 'EXCHANGE_NETWORK_ERROR', 503, true, 'Could not reach the exchange. Please try again shortly.'],
+  [ccxt.NotSupported, 'EXCHANGE_NOT_SUPPORTED', 400, false, null],
+  [ccxt.BadRequest, 'EXCHANGE_BAD_REQUEST', 400, false, null],
+  [ccxt.ExchangeError, 'EXCHANGE_ERROR', 502, false, null]
+];
+
+// HTTP status in ccxt's "<exchange> <METHOD> <url> <status> <reason> <body>" messages
+function httpStatusOf(error) {
+  const match = /^\S+ [A-Z]+ \S+ (\d{3}) /.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Any thrown value as an ExchangeApiError. Errors that didn't come from the exchange
+// become INTERNAL_ERROR with their original message.
+function toExchangeError(error) {
+  if (error instanceof ExchangeApiError) return error;
+
+  if (error instanceof ccxt.ExchangeNotAvailable && httpStatusOf(error) === 451) {
+    return new ExchangeApiError(
+      'EXCHANGE_RESTRICTED_LOCATION',
+      'Service unavailable from this location. Try a different exchange.',
+      { status: 403, cause: error }
+    );
+  }
+
+  const entry = CCXT_ERRORS.find(([ErrorClass]) => error instanceof ErrorClass);
+  if (entry) {
+    const [, code, status, retryable, message] = entry;
+    return new ExchangeApiError(code, message || error.message, { status, retryable, cause: error });
+  }
+
+  return new ExchangeApiError('INTERNAL_ERROR', error.message || 'Server error', { status: 500, cause: error });
+}
+
+// Status and JSON body for a route's catch block
+function exchangeErrorResponse(error) {
+  const { code, status, retryable, message } = toExchangeError(error);
+  return { status, body: { success: false, code, message, retryable } };
+}
+
+function isRetryable(error) {
+  return toExchangeError(error).retryable;
+}
+
+// The exchange refused the account itself - retrying won't help until the user fixes their keys
+const CREDENTIAL_ERRORS = ['EXCHANGE_AUTH_FAILED', 'EXCHANGE_PERMISSION_DENIED', 'EXCHANGE_ACCOUNT_SUSPENDED'];
+
+function isCredentialError(error) {
+  return CREDENTIAL_ERRORS.includes(toExchangeError(error).code);
+}
+
+// The order request may have reached the exchange before it failed (timeout, dropped
+// connection, a response we couldn't read) - it has to be looked up, not sent again
+const UNKNOWN_ORDER_OUTCOME = ['EXCHANGE_TIMEOUT', 'EXCHANGE_NETWORK_ERROR', 'EXCHANGE_UNAVAILABLE', 'INTERNAL_ERROR'];
+
+function isOrderOutcomeUnknown(error) {
+  return UNKNOWN_ORDER_OUTCOME.includes(toExchangeError(error).code);
+}
+
+module.exports = {
+  ExchangeApiError,
+  toExchangeError,
+  exchangeErrorResponse,
+  isRetryable,
+  isCredentialError,
+  isOrderOutcomeUnknown
+};
@@ -0,0 +1,116 @@
+// Technical indicators computed from plain number arrays (oldest first).
+// Candle-based ones (atr) take ccxt OHLCV rows: [timestamp, open, high, low, close, volume].
+
+// Exponential moving average. Returns an array aligned with `values`;
+// entries before the first full period are null.
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  // Seed with the simple average of the first period
+  let previous = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  result[period - 1] = previous;
+
+  for (let i = period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+  return result;
+}
+
+// Simple moving average, aligned with `values` like ema()
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+// Wilder's relative strength index (0-100)
+function rsi(values, period = 14) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  let averageGain = gain / period;
+  let averageLoss = loss / period;
+  result[period] = rsiValue(averageGain, averageLoss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = rsiValue(averageGain, averageLoss);
+  }
+  return result;
+}
+
+function rsiValue(averageGain, averageLoss) {
+  if (averageLoss === 0) return averageGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + averageGain / averageLoss);
+}
+
+// Average true range with Wilder smoothing, from OHLCV candles
+function atr(candles, period = 14) {
+  const result = new Array(candles.length).fill(null);
+  if (candles.length <= period) return result;
+
+  const trueRanges = candles.map(([, , high, low], i) => {
+    if (i === 0) return high - low;
+    const previousClose = candles[i - 1][4];
+    return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+  });
+
+  // Seed with the simple average of the first full period (skipping the first candle's range)
+  let previous = trueRanges.slice(1, period + 1).reduce((sum, tr) => sum + tr, 0) / period;
+  result[period] = previous;
+  for (let i = period + 1; i < candles.length; i++) {
+    previous = (previous * (period - 1) + trueRanges[i]) / period;
+    result[i] = previous;
+  }
+  return result;
+}
+
+// Bollinger bands: SMA middle band +/- `multiplier` population standard deviations
+function bollinger(values, period = 20, multiplier = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, v) => sum + (v - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+  return { upper, middle, lower };
+}
+
+// Most recent value of an indicator series
+function last(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+module.exports = {
+  ema,
+  sma,
+  rsi,
+  atr,
+  bollinger,
+  last
+};
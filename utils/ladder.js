@@ -0,0 +1,157 @@
+// Projection of a martingale ladder: what every level costs, where the averaged position
+// stands after it and where that position would be liquidated. Pure math on a strategy
+// config, shared by the pre-trade risk check and the strategy preview.
+
+// Used when the exchange doesn't publish maintenance margin tiers. Above the first tier of
+// the majors on every supported exchange, so the estimate errs towards an earlier liquidation.
+const DEFAULT_MAINTENANCE_MARGIN_RATE = 0.01;
+
+// USDT margin of a ladder level: balance x capitalBase x the level's multiplier
+function positionSize(balance, level, config) {
+  return balance * config.capitalBase * config.martingaleMultipliers[level - 1];
+}
+
+// Maintenance margin rate for a position of `notional` USDT from ccxt leverage tiers
+// ([{ minNotional, maxNotional, maintenanceMarginRate }]).
+function maintenanceMarginRate(tiers, notional) {
+  if (!tiers || tiers.length === 0) return DEFAULT_MAINTENANCE_MARGIN_RATE;
+
+  const tier = tiers.find(t => notional >= (t.minNotional || 0) && (t.maxNotional == null || notional < t.maxNotional))
+    || tiers[tiers.length - 1];
+  return tier.maintenanceMarginRate ?? DEFAULT_MAINTENANCE_MARGIN_RATE;
+}
+
+// Isolated-margin liquidation price: margin + unrealized PnL falls to the maintenance margin.
+// `quantity` is in base units. Tiers above the first also carry a deduction that ccxt doesn't
+// expose; leaving it out places the estimate slightly closer to the entry than the exchange does.
+function liquidationPrice({ side, entryPrice, quantity, margin, maintenanceMarginRate: mmr }) {
+  if (!(quantity > 0)) return null;
+
+  if (side === 'buy') {
+    return Math.max(0, (entryPrice * quantity - margin) / (quantity * (1 - mmr)));
+  }
+  return (entryPrice * quantity + margin) / (quantity * (1 + mmr));
+}
+
+// Every level from `fromLevel` to the end of the ladder. Level `fromLevel` enters at `price`,
+// each later one a full levelStepPercent beyond the previous entry. `balance` is what the run
+// sizes from (its share of the account) and `position` ({ quantity, notional, margin }) is
+// what earlier levels already hold. Contract rounding and fees are left out.
+function projectLadder(config, { balance, price, side, tiers = null, fromLevel = 1, position = null }) {
+  const sign = side === 'buy' ? 1 : -1;
+  const step = config.levelStepPercent / 100;
+  const stopLossBuffer = (config.stopLossPercent ?? 0.5) / 100;
+
+  let quantity = position ? position.quantity : 0;
+  let cumulativeNotional = position ? position.notional : 0;
+  let cumulativeMargin = position ? position.margin : 0;
+  let entryPrice = price;
+  const levels = [];
+
+  for (let level = fromLevel; level <= config.maxLevels; level++) {
+    const margin = positionSize(balance, level, config);
+    const notional = margin * config.leverage;
+
+    quantity += notional / entryPrice;
+    cumulativeNotional += notional;
+    cumulativeMargin += margin;
+
+    const averageEntry = cumulativeNotional / quantity;
+    const mmr = maintenanceMarginRate(tiers, cumulativeNotional);
+    const liquidation = liquidationPrice({ side, entryPrice: averageEntry, quantity, margin: cumulativeMargin, maintenanceMarginRate: mmr });
+    // Same trigger and stop the engine and the exchange-side bracket use
+    const nextTriggerPrice = entryPrice * (1 - sign * step);
+    const stopLossPrice = nextTriggerPrice * (1 - sign * stopLossBuffer);
+    const isLast = level === config.maxLevels;
+
+    levels.push({
+      level,
+      entryPrice,
+      margin,
+      notional,
+      cumulativeMargin,
+      cumulativeNotional,
+      averageEntry,
+      takeProfitPrice: averageEntry * (1 + sign * config.takeProfitPercent / 100),
+      // How far price has to come back from this entry to the average entry
+      breakEvenMovePercent: (averageEntry - entryPrice) / entryPrice * 100 * sign,
+      maintenanceMarginRate: mmr,
+      liquidationPrice: liquidation,
+      liquidationDistancePercent: (entryPrice - liquidation) / entryPrice * 100 * sign,
+      nextTriggerPrice: isLast ? null : nextTriggerPrice,
+      stopLossPrice,
+      liquidatesBeforeNextLevel: !isLast && sign * (liquidation - nextTriggerPrice) >= 0,
+      liquidatesBeforeStop: sign * (liquidation - stopLossPrice) >= 0
+    });
+
+    entryPrice = nextTriggerPrice;
+  }
+
+  return levels;
+}
+
+// Pre-trade verdict for the remaining ladder. The next order is refused when its margin isn't
+// there or its position would be liquidated before the level after it can be added; the same
+// problems further down the ladder only warn, since balance and prices move in the meantime.
+function assessLadder(levels, { availableMargin }) {
+  const next = levels[0];
+  const requiredMargin = levels.reduce((sum, level) => sum + level.margin, 0);
+  const warnings = [];
+
+  let funded = 0;
+  let running = 0;
+  for (const level of levels) {
+    running += level.margin;
+    if (running > availableMargin) break;
+    funded++;
+  }
+
+  const assessment = {
+    allowed: true,
+    code: null,
+    reason: null,
+    warnings,
+    fromLevel: next ? next.level : null,
+    requiredMargin,
+    availableMargin,
+    // Last level the free margin covers (fromLevel - 1 when not even the next one is)
+    fundedThroughLevel: next ? next.level + funded - 1 : null,
+    liquidationPrice: next ? next.liquidationPrice : null,
+    levels
+  };
+  if (!next) return assessment;
+
+  const refuse = (code, reason) => Object.assign(assessment, { allowed: false, code, reason });
+  const last = levels[levels.length - 1];
+
+  if (funded === 0) {
+    refuse('LADDER_UNFUNDED', `Level ${next.level} needs ${next.margin.toFixed(2)} USDT margin but only ${availableMargin.toFixed(2)} USDT is free`);
+  } else if (funded < levels.length) {
+    warnings.push(`Levels ${next.level + funded}-${last.level} can't be funded: the remaining ladder needs ${requiredMargin.toFixed(2)} USDT margin, ${availableMargin.toFixed(2)} USDT is free`);
+  }
+
+  const unsafe = levels.find(level => level.liquidatesBeforeNextLevel);
+  if (unsafe === next) {
+    if (assessment.allowed) {
+      refuse('LIQUIDATION_BEFORE_NEXT_LEVEL', `Level ${next.level} would be liquidated at ${next.liquidationPrice.toPrecision(6)}, before level ${next.level + 1} triggers at ${next.nextTriggerPrice.toPrecision(6)}`);
+    }
+  } else if (unsafe) {
+    warnings.push(`Level ${unsafe.level} would be liquidated at ${unsafe.liquidationPrice.toPrecision(6)}, before level ${unsafe.level + 1} triggers at ${unsafe.nextTriggerPrice.toPrecision(6)}`);
+  }
+
+  const unprotected = levels.filter(level => level.liquidatesBeforeStop && !level.liquidatesBeforeNextLevel);
+  if (unprotected.length > 0) {
+    warnings.push(`Liquidation comes before the stop loss at level ${unprotected.map(level => level.level).join(', ')}`);
+  }
+
+  return assessment;
+}
+
+module.exports = {
+  DEFAULT_MAINTENANCE_MARGIN_RATE,
+  positionSize,
+  maintenanceMarginRate,
+  liquidationPrice,
+  projectLadder,
+  assessLadder
+};
@@ -0,0 +1,80 @@
+// Converts a USDT margin into an order amount the exchange will accept.
+// ccxt order amounts are in contracts; one contract is `contractSize` units of the base asset
+// (1 on most USDT perps, but e.g. 0.01 BTC on OKX). Markets must be loaded first.
+
+function reject(code, reason, details = {}) {
+  return { valid: false, code, reason, ...details };
+}
+
+// Round down to the market's amount precision. Returns 0 when the amount rounds away.
+function roundAmount(exchange, symbol, amount) {
+  if (typeof exchange.amountToPrecision !== 'function') return amount;
+  try {
+    return parseFloat(exchange.amountToPrecision(symbol, amount));
+  } catch (error) {
+    // ccxt throws when the amount is below the smallest precision step
+    return 0;
+  }
+}
+
+// margin x leverage at `price` -> { valid, amount, contractSize, notional, margin } or { valid: false, code, reason }
+function sizeOrder(exchange, symbol, { margin, leverage, price }) {
+  const market = exchange.market(symbol);
+  const contractSize = market.contractSize || 1;
+  const limits = market.limits || {};
+
+  if (!(price > 0)) {
+    return reject('no_price', `No valid price for ${symbol}`);
+  }
+  if (!(margin > 0) || !(leverage > 0)) {
+    return reject('no_margin', `Nothing to trade - margin ${margin} USDT at ${leverage}x`);
+  }
+
+  const targetNotional = margin * leverage;
+  const rawAmount = targetNotional / (price * contractSize);
+  const amount = roundAmount(exchange, symbol, rawAmount);
+
+  // Smallest margin that would clear both minimums at this price
+  const minAmount = limits.amount?.min || 0;
+  const minCost = limits.cost?.min || 0;
+  const requiredMargin = Math.max(minAmount * contractSize * price, minCost) / leverage;
+
+  if (!(amount > 0) || amount < minAmount) {
+    return reject(
+      'below_min_amount',
+      `${margin.toFixed(2)} USDT margin at ${leverage}x buys ${rawAmount.toPrecision(4)} contracts of ${symbol}; the minimum is ${minAmount || 'one precision step'} (≈ ${requiredMargin.toFixed(2)} USDT margin)`,
+      { requiredMargin }
+    );
+  }
+
+  const notional = amount * contractSize * price;
+  if (minCost && notional < minCost) {
+    return reject(
+      'below_min_notional',
+      `Order value ${notional.toFixed(2)} USDT on ${symbol} is below the ${minCost} USDT minimum (≈ ${requiredMargin.toFixed(2)} USDT margin at ${leverage}x)`,
+      { requiredMargin }
+    );
+  }
+
+  const maxAmount = limits.amount?.max;
+  if (maxAmount && amount > maxAmount) {
+    return reject(
+      'above_max_amount',
+      `${amount} contracts of ${symbol} exceeds the ${maxAmount} contract maximum per order`
+    );
+  }
+
+  return {
+    valid: true,
+    amount,
+    contractSize,
+    price,
+    notional,
+    margin: notional / leverage // After rounding
+  };
+}
+
+module.exports = {
+  sizeOrder,
+  roundAmount
+};
@@ -0,0 +1,114 @@
+// PnL maths for linear (USDT-margined) perpetual futures.
+// Sizes are in contracts (ccxt `amount`); one contract is `contractSize` units of the base asset.
+// Funding is the net amount received (positive) or paid (negative) while the position was open.
+
+// +1 for longs, -1 for shorts. Accepts order sides (buy/sell) and position sides (long/short).
+function sideDirection(side) {
+  return side === 'sell' || side === 'short' ? -1 : 1;
+}
+
+// USDT value of a size at a price
+function notional(price, quantity, contractSize = 1) {
+  return price * quantity * contractSize;
+}
+
+// Initial margin for a notional at a leverage
+function margin(price, quantity, leverage, contractSize = 1) {
+  return leverage > 0 ? notional(price, quantity, contractSize) / leverage : 0;
+}
+
+// Fee on a fill at a fee rate (e.g. 0.0006 taker)
+function fee(price, quantity, feeRate, contractSize = 1) {
+  return notional(price, quantity, contractSize) * feeRate;
+}
+
+// Size-weighted entry of several fills: [{ price, quantity }]
+function averageEntry(fills) {
+  const totalQuantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+  if (totalQuantity === 0) return null;
+  return fills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0) / totalQuantity;
+}
+
+// Volume-weighted price, total size, fees and first/last timestamps of ccxt fills
+function summarizeFills(fills) {
+  const amount = fills.reduce((sum, fill) => sum + fill.amount, 0);
+  if (amount === 0) return null;
+
+  return {
+    amount,
+    price: averageEntry(fills.map(fill => ({ price: fill.price, quantity: fill.amount }))),
+    fees: fills.reduce((sum, fill) => sum + (fill.fee?.cost || 0), 0),
+    firstTimestamp: Math.min(...fills.map(fill => fill.timestamp)),
+    lastTimestamp: Math.max(...fills.map(fill => fill.timestamp))
+  };
+}
+
+// Price PnL before costs
+function grossPnl({ side, entryPrice, exitPrice, quantity, contractSize = 1 }) {
+  return (exitPrice - entryPrice) * quantity * contractSize * sideDirection(side);
+}
+
+function unrealizedPnl({ side, entryPrice, markPrice, quantity, contractSize = 1 }) {
+  return grossPnl({ side, entryPrice, exitPrice: markPrice, quantity, contractSize });
+}
+
+// Closed-position PnL with the fee and funding breakdown
+function realizedPnl({ side, entryPrice, exitPrice, quantity, contractSize = 1, fees = 0, funding = 0 }) {
+  const gross = grossPnl({ side, entryPrice, exitPrice, quantity, contractSize });
+  return {
+    gross,
+    fees,
+    funding,
+    net: gross - fees + funding
+  };
+}
+
+// Return on equity: PnL as a percentage of the margin posted
+function roe(pnl, positionMargin) {
+  return positionMargin > 0 ? (pnl / positionMargin) * 100 : 0;
+}
+
+// Combine martingale levels into one position.
+// levels: [{ price, quantity, margin?, fees?, funding? }] all on the same side.
+function summarizePosition({ side, levels, markPrice = null, contractSize = 1, leverage = null }) {
+  const quantity = levels.reduce((sum, level) => sum + level.quantity, 0);
+  const entryPrice = averageEntry(levels);
+  const postedMargin = levels.reduce((sum, level) =>
+    sum + (level.margin ?? margin(level.price, level.quantity, leverage, contractSize)), 0);
+  const fees = levels.reduce((sum, level) => sum + (level.fees || 0), 0);
+  const funding = levels.reduce((sum, level) => sum + (level.funding || 0), 0);
+
+  const summary = {
+    side,
+    quantity,
+    entryPrice,
+    notional: entryPrice ? notional(entryPrice, quantity, contractSize) : 0,
+    margin: postedMargin,
+    fees,
+    funding
+  };
+
+  if (markPrice && entryPrice) {
+    summary.markPrice = markPrice;
+    summary.unrealizedPnl = unrealizedPnl({ side, entryPrice, markPrice, quantity, contractSize });
+    // What closing now would leave after costs already paid
+    summary.netPnl = summary.unrealizedPnl - fees + funding;
+    summary.roe = roe(summary.unrealizedPnl, postedMargin);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  sideDirection,
+  notional,
+  margin,
+  fee,
+  averageEntry,
+  summarizeFills,
+  grossPnl,
+  unrealizedPnl,
+  realizedPnl,
+  roe,
+  summarizePosition
+};
@@ -0,0 +1,22 @@
+// Trading days run on UTC, so daily risk limits and the daily profit settlement
+// agree on where a day starts whatever time zone the server is in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' of the UTC day `date` falls in
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Midnight UTC starting the day `date` falls in
+function dayStart(date = new Date()) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
+
+module.exports = {
+  DAY_MS,
+  dayKey,
+  dayStart
+};